@@ -30,6 +30,50 @@
  */
 
 class Madj2kFlyoutMenu {
+
+  /**
+   * The trigger element that currently owns a menu, keyed by menu element.
+   * Shared by all instances, so that several triggers can control the same menu.
+   * @type {WeakMap<HTMLElement, HTMLElement>}
+   */
+  static owners = new WeakMap();
+
+  /**
+   * All initialized instances
+   * @type {Set<Madj2kFlyoutMenu>}
+   */
+  static instances = new Set();
+
+  /**
+   * Returns the instance of the menu with the given id. If several triggers
+   * control the menu, the instance of the trigger that currently owns it is returned
+   * @param {string} id - The id of the menu element
+   * @returns {Madj2kFlyoutMenu|null}
+   */
+  static getInstance(id) {
+    const instances = Madj2kFlyoutMenu.getInstances(id);
+    return instances.find(instance => instance.getOwner() === instance.$element) || instances[0] || null;
+  }
+
+  /**
+   * Returns all instances, optionally filtered by the id of their menu element
+   * @param {string|null} id - The id of the menu element
+   * @returns {Madj2kFlyoutMenu[]}
+   */
+  static getInstances(id = null) {
+    return Array.from(Madj2kFlyoutMenu.instances)
+      .filter(instance => !id || instance.settings.$menu.id === id);
+  }
+
+  /**
+   * Returns the instance whose menu is currently open
+   * @returns {Madj2kFlyoutMenu|null}
+   */
+  static getOpenInstance() {
+    return Madj2kFlyoutMenu.getInstances()
+      .find(instance => instance.isOpen() && instance.getOwner() === instance.$element) || null;
+  }
+
   /**
    * Initializes the flyout menu with given element and options
    * @param {HTMLElement} element - The trigger element for the menu
@@ -40,6 +84,7 @@ class Madj2kFlyoutMenu {
       openStatusClass: 'open',
       animationDirection: 'top',
       animationUnit: '%',
+      animationTransform: false,
       animationOpenStatusClass: 'opening',
       animationCloseStatusClass: 'closing',
       animationBodyClassPrefix: 'flyout',
@@ -51,10 +96,24 @@ class Madj2kFlyoutMenu {
       menuCloseClass: "js-flyout-close",
       menuContainerClass: "js-flyout-container",
       menuInnerClass: "js-flyout-inner",
+      levelClass: 'js-flyout-level',
+      levelToggleClass: 'js-flyout-level-toggle',
+      levelAnimationDuration: 200,
       heightCalculationClass: 'calculate',
       hoverParentClass: 'nav-main',
+      hoverGroup: null,
       heightMode: 'full',
       eventMode: 'click',
+      hoverOpenDelay: 50,
+      hoverCloseDelay: 300,
+      hoverIntent: true,
+      closeOnOutsideClick: false,
+      closeOnScroll: false,
+      closeOnScrollThreshold: 50,
+      observePositionReference: true,
+      dropdownAlign: 'start',
+      dropdownViewportPadding: 10,
+      dropdownMaxHeight: 0,
       paddingBehavior: 0,
       paddingViewPortMinWidth: 0,
       animationDuration: 500,
@@ -90,18 +149,61 @@ class Madj2kFlyoutMenu {
       ? this.settings.animationUnit.trim()
       : '%';
 
-    this.settings.$menu.classList.add(
+    if (!this.getAnimationDirections().includes(this.settings.animationDirection)) {
+      console.warn(`Unknown animationDirection "${this.settings.animationDirection}". Using "top" instead.`);
+      this.settings.animationDirection = 'top';
+    }
+
+    this.settings.menuClasses = [
       'animation-direction-' + this.settings.animationDirection,
       'animation-unit-' + (this.settings.animationUnit == '%' ? 'percentage' : this.settings.animationUnit),
       'height-mode-' + this.settings.heightMode,
       'event-mode-' + this.settings.eventMode,
-    );
+    ];
+
+    if (this.settings.animationTransform) {
+      this.settings.menuClasses.push('animation-transform');
+    }
+
+    this.settings.$menu.classList.add(...this.settings.menuClasses);
+
+    this.settings.animationTimeouts = new Set();
+    this.settings.hoverOpenTimeout = null;
+    this.settings.hoverCloseTimeout = null;
+    this.settings.hoverPointer = null;
+    this.settings.levelHoverTimeout = null;
+    this.settings.scrollStart = 0;
+    this.settings.positionFrame = null;
+    this.settings.positionTop = null;
+
+    // bind persistent handlers
+    this.keyboardEvent = this.keyboardEvent.bind(this);
+    this.focusTrapEvent = this.focusTrapEvent.bind(this);
+    this.containerLeaveEvent = this.containerLeaveEvent.bind(this);
+    this.containerEnterEvent = this.containerEnterEvent.bind(this);
+    this.hoverMoveEvent = this.hoverMoveEvent.bind(this);
+    this.triggerLeaveEvent = this.triggerLeaveEvent.bind(this);
+    this.touchStartEvent = this.touchStartEvent.bind(this);
+    this.toggleEvent = this.toggleEvent.bind(this);
+    this.openEvent = this.openEvent.bind(this);
+    this.closeEvent = this.closeEvent.bind(this);
+    this.targetedOpenEvent = this.targetedOpenEvent.bind(this);
+    this.resizeAndPositionMenuEvent = this.resizeAndPositionMenuEvent.bind(this);
+    this.outsideClickEvent = this.outsideClickEvent.bind(this);
+    this.scrollEvent = this.scrollEvent.bind(this);
+    this.positionTrackingEvent = this.positionTrackingEvent.bind(this);
+    this.levelToggleEvent = this.levelToggleEvent.bind(this);
+    this.levelHoverEvent = this.levelHoverEvent.bind(this);
+    this.levelHoverLeaveEvent = this.levelHoverLeaveEvent.bind(this);
 
     this.initNoScrollHelper();
+    this.initLevels();
     this.resizeAndPositionMenu();
     this.paddingMenu();
     this.bindEvents();
     this.initObservers();
+
+    Madj2kFlyoutMenu.instances.add(this);
   }
 
   /**
@@ -111,6 +213,8 @@ class Madj2kFlyoutMenu {
   keyboardEvent(e) {
     const element = e.target;
 
+    if (this.levelKeyboardEvent(e)) return;
+
     switch (e.key) {
       case 'ArrowLeft':
       case 'ArrowUp':
@@ -138,33 +242,233 @@ class Madj2kFlyoutMenu {
   }
 
 
+  /**
+   * Keeps the focus inside the open menu: Tab cycles through the toggle element,
+   * the focusable elements of the inner container and the close button.
+   * Only the instance that owns the menu traps the focus, as the handler is registered on document
+   * @param {KeyboardEvent} e - The keyboard event
+   */
+  focusTrapEvent(e) {
+    if (e.key !== 'Tab' || !this.isOpen() || this.getOwner() !== this.$element) return;
+
+    const focusables = this.getFocusableElements();
+    if (!focusables.length) return;
+
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const index = focusables.indexOf(document.activeElement);
+
+    if (index === -1) {
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && index === 0) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && index === focusables.length - 1) {
+      e.preventDefault();
+      first.focus();
+    } else if (!e.shiftKey && document.activeElement === this.$element) {
+      // the toggle is not necessarily placed before the menu in the DOM
+      e.preventDefault();
+      focusables[1].focus();
+    }
+  }
+
+  /**
+   * Returns the elements that are part of the focus trap:
+   * the toggle element, the visible focusable elements of the inner container and the close button
+   * @returns {HTMLElement[]}
+   */
+  getFocusableElements() {
+    const inner = this.settings.$menuInner
+      ? Array.from(this.settings.$menuInner.querySelectorAll(this.getFocusableSelector()))
+      : [];
+
+    return [this.$element, ...inner, this.settings.$closeBtn]
+      .filter((el, index, list) => el && list.indexOf(el) === index)
+      .filter(el => el === this.$element || el.getClientRects().length > 0)
+      .filter(el => !this.isInClosedLevel(el));
+  }
+
+  /**
+   * Returns the selector for focusable elements
+   * @returns {string}
+   */
+  getFocusableSelector() {
+    return 'a[href],button:not([disabled]),input:not([disabled]),textarea:not([disabled]),select:not([disabled]),[tabindex]:not([tabindex="-1"])';
+  }
+
+  /**
+   * Moves the focus to the first focusable element inside the menu
+   */
+  focusFirstItem() {
+    const first = this.getFocusableElements().find(el => el !== this.$element);
+    if (first) first.focus();
+  }
+
   /**
    * Handles mouseleave on menu container
    * @param {MouseEvent} e
    */
   containerLeaveEvent(e) {
-    const to = e.relatedTarget;
-    const parentContainer = this.$element.closest(this.settings.hoverParentSelector) || null;
-    if (to && this.$element.contains(to)) return;
-    if (to && parentContainer?.contains(to)) return;
+    if (this.isInHoverGroup(e.relatedTarget)) return;
     if (this.$element.classList.contains(this.settings.openStatusClass)) {
-      document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-close'));
+      this.scheduleHoverClose(e);
     }
   }
 
+  /**
+   * Handles mouseenter on menu container: keeps the menu open
+   */
+  containerEnterEvent() {
+    this.cancelHoverClose();
+  }
+
   /**
    * Handles mouseleave on trigger element
    * @param {MouseEvent} e
    */
   triggerLeaveEvent(e) {
-    const to = e.relatedTarget;
-    const parentContainer = this.$element.closest('.' + this.settings.hoverParentClass) || null;
+    clearTimeout(this.settings.hoverOpenTimeout);
 
-    if (to && this.settings.$menu.contains(to)) return;
-    if (to && parentContainer?.contains(to)) return;
+    if (this.isInHoverGroup(e.relatedTarget)) return;
     if (this.$element.classList.contains(this.settings.openStatusClass)) {
-      document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-close'));
+      this.scheduleHoverClose(e);
+    }
+  }
+
+  /**
+   * Returns the elements the pointer may move between without closing the menu:
+   * the trigger, the menu, all triggers of the same menu and the hover group.
+   * The hover group is taken from hoverGroup (selector of a parent of the trigger or a list of elements),
+   * falling back to the legacy hoverParentSelector or hoverParentClass
+   * @returns {HTMLElement[]}
+   */
+  getHoverGroup() {
+    const {hoverGroup, hoverParentSelector, hoverParentClass, $menu} = this.settings;
+    const group = hoverGroup || hoverParentSelector || (hoverParentClass ? '.' + hoverParentClass : null);
+    let elements = [];
+
+    if (typeof group === 'string') {
+      const parent = this.$element.closest(group);
+      if (parent) elements.push(parent);
+    } else if (group instanceof Element) {
+      elements.push(group);
+    } else if (group) {
+      elements = Array.from(group);
+    }
+
+    return [this.$element, $menu, ...this.getTriggers(), ...elements];
+  }
+
+  /**
+   * Returns all toggle elements that control the menu
+   * @returns {HTMLElement[]}
+   */
+  getTriggers() {
+    const {menuToggleClass, $menu} = this.settings;
+
+    return $menu.id
+      ? Array.from(document.querySelectorAll(`.${menuToggleClass}[aria-controls="${$menu.id}"]`))
+      : [];
+  }
+
+  /**
+   * Checks whether the given node is part of the hover group
+   * @param {Node|null} node - Usually the relatedTarget of a mouseleave event
+   * @returns {boolean}
+   */
+  isInHoverGroup(node) {
+    return !!node && this.getHoverGroup().some(el => el.contains(node));
+  }
+
+  /**
+   * Closes the menu after hoverCloseDelay. With hoverIntent the pointer is tracked meanwhile
+   * and closing is postponed as long as it moves towards the menu
+   * @param {MouseEvent} e - The mouseleave event
+   */
+  scheduleHoverClose(e) {
+    this.cancelHoverClose();
+    this.settings.hoverPointer = {x: e.clientX, y: e.clientY};
+
+    if (this.settings.hoverIntent) {
+      document.addEventListener('mousemove', this.hoverMoveEvent);
     }
+
+    this.startHoverCloseTimer();
+  }
+
+  /**
+   * (Re-)starts the timer that closes the menu after hoverCloseDelay
+   */
+  startHoverCloseTimer() {
+    clearTimeout(this.settings.hoverCloseTimeout);
+    this.settings.hoverCloseTimeout = setTimeout(() => {
+      this.cancelHoverClose();
+
+      // the menu may have been taken over by another trigger meanwhile
+      if (this.getOwner() === this.$element) {
+        document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-close', {detail: this.getEventDetail()}));
+      }
+    }, this.settings.hoverCloseDelay);
+  }
+
+  /**
+   * Cancels a scheduled close and stops tracking the pointer
+   */
+  cancelHoverClose() {
+    clearTimeout(this.settings.hoverCloseTimeout);
+    this.settings.hoverCloseTimeout = null;
+    document.removeEventListener('mousemove', this.hoverMoveEvent);
+  }
+
+  /**
+   * Tracks the pointer while a close is scheduled and postpones closing
+   * as long as the pointer moves towards the menu
+   * @param {MouseEvent} e - The mousemove event
+   */
+  hoverMoveEvent(e) {
+    const from = this.settings.hoverPointer;
+    const to = {x: e.clientX, y: e.clientY};
+    this.settings.hoverPointer = to;
+
+    if (from && this.isMovingTowardsMenu(from, to)) {
+      this.startHoverCloseTimer();
+    }
+  }
+
+  /**
+   * Checks whether the pointer moves towards the menu, i.e. whether the new position lies inside the
+   * "safe triangle" between the previous position and the edge of the menu facing it
+   * @param {{x: number, y: number}} from - The previous pointer position
+   * @param {{x: number, y: number}} to - The current pointer position
+   * @returns {boolean}
+   */
+  isMovingTowardsMenu(from, to) {
+    if (from.x === to.x && from.y === to.y) return false;
+
+    const rect = this.settings.$menu.getBoundingClientRect();
+    let corners;
+
+    if (from.y <= rect.top) {
+      corners = [{x: rect.left, y: rect.top}, {x: rect.right, y: rect.top}];
+    } else if (from.y >= rect.bottom) {
+      corners = [{x: rect.left, y: rect.bottom}, {x: rect.right, y: rect.bottom}];
+    } else if (from.x <= rect.left) {
+      corners = [{x: rect.left, y: rect.top}, {x: rect.left, y: rect.bottom}];
+    } else {
+      corners = [{x: rect.right, y: rect.top}, {x: rect.right, y: rect.bottom}];
+    }
+
+    const sign = (p1, p2, p3) => (p1.x - p3.x) * (p2.y - p3.y) - (p2.x - p3.x) * (p1.y - p3.y);
+    const d1 = sign(to, from, corners[0]);
+    const d2 = sign(to, corners[0], corners[1]);
+    const d3 = sign(to, corners[1], from);
+
+    const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+    const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+
+    return !(hasNegative && hasPositive);
   }
 
   /**
@@ -180,30 +484,85 @@ class Madj2kFlyoutMenu {
     }
   }
 
+  /**
+   * Handles clicks on the page (closeOnOutsideClick): closes the menu
+   * if the click was neither inside the menu nor on one of its toggles
+   * @param {MouseEvent} e
+   */
+  outsideClickEvent(e) {
+    const {$menu, animationOpenStatusClass} = this.settings;
+    const target = e.target;
+
+    // ignore the click that opened the menu
+    if (!this.isOpen() || $menu.classList.contains(animationOpenStatusClass)) return;
+    if (!target || $menu.contains(target)) return;
+    if ([this.$element, ...this.getTriggers()].some(el => el.contains(target))) return;
+
+    if (document.activeElement.tagName !== 'INPUT') {
+      this.close();
+    }
+  }
+
+  /**
+   * Handles scrolling of the page (closeOnScroll): closes the menu when the page has been scrolled
+   * by more than closeOnScrollThreshold since opening. Not used in heightMode 'full',
+   * where the page is locked anyway
+   */
+  scrollEvent() {
+    const {$menu, animationOpenStatusClass, heightMode, closeOnScrollThreshold} = this.settings;
+
+    if (heightMode === 'full') return;
+    if (!this.isOpen() || $menu.classList.contains(animationOpenStatusClass)) return;
+    if (Math.abs(window.scrollY - this.settings.scrollStart) <= closeOnScrollThreshold) return;
+
+    if (document.activeElement.tagName !== 'INPUT') {
+      this.close();
+    }
+  }
+
   /**
    * Binds all necessary event listeners
    */
   bindEvents() {
     if (this.settings.$closeBtn) {
       const closeEvent = this.settings.eventMode === 'mouseover' ? 'mouseenter' : 'click';
-      this.settings.$closeBtn.addEventListener(closeEvent, e => this.closeEvent(e));
-      this.settings.$closeBtn.addEventListener('keydown', e => this.keyboardEvent(e));
+      this.settings.$closeBtn.addEventListener(closeEvent, this.closeEvent);
+      this.settings.$closeBtn.addEventListener('keydown', this.keyboardEvent);
     }
 
+    this.settings.levels.forEach(({toggle}) => {
+      toggle.addEventListener('click', this.levelToggleEvent);
+      if (this.settings.eventMode === 'mouseover') {
+        toggle.addEventListener('mouseenter', this.levelHoverEvent);
+        toggle.addEventListener('mouseleave', this.levelHoverLeaveEvent);
+      }
+    });
+
     if (this.settings.eventMode === 'mouseover') {
-      this.$element.addEventListener('mouseenter', e => this.openEvent(e));
-      this.$element.addEventListener('mouseleave',e =>  this.triggerLeaveEvent(e));
-      this.settings.$menuContainer?.addEventListener('mouseleave', e => this.containerLeaveEvent(e));
-      document.addEventListener('touchstart', e => this.touchStartEvent(e), { passive: true });
+      this.$element.addEventListener('mouseenter', this.openEvent);
+      this.$element.addEventListener('mouseleave', this.triggerLeaveEvent);
+      this.settings.$menuContainer?.addEventListener('mouseenter', this.containerEnterEvent);
+      this.settings.$menuContainer?.addEventListener('mouseleave', this.containerLeaveEvent);
+      document.addEventListener('touchstart', this.touchStartEvent, { passive: true });
     } else {
-      this.$element.addEventListener('click', e => this.toggleEvent(e));
+      this.$element.addEventListener('click', this.toggleEvent);
     }
 
-    this.$element.addEventListener('keydown', e => this.keyboardEvent(e));
+    this.$element.addEventListener('keydown', this.keyboardEvent);
     this.settings.$menu.querySelectorAll('a,button,input,textarea,select')
-      .forEach(el => el.addEventListener('keydown', e => this.keyboardEvent(e)));
-    document.addEventListener('madj2k-flyoutmenu-close', e => this.closeEvent(e));
-    document.addEventListener('madj2k-flyoutmenu-resize', e => this.resizeAndPositionMenuEvent(e));
+      .forEach(el => el.addEventListener('keydown', this.keyboardEvent));
+    document.addEventListener('madj2k-flyoutmenu-close', this.closeEvent);
+    document.addEventListener('madj2k-flyoutmenu-open', this.targetedOpenEvent);
+    document.addEventListener('madj2k-flyoutmenu-resize', this.resizeAndPositionMenuEvent);
+    document.addEventListener('keydown', this.focusTrapEvent);
+
+    if (this.settings.closeOnOutsideClick) {
+      document.addEventListener('click', this.outsideClickEvent);
+    }
+
+    if (this.settings.closeOnScroll) {
+      window.addEventListener('scroll', this.scrollEvent, { passive: true });
+    }
   }
 
 
@@ -213,23 +572,35 @@ class Madj2kFlyoutMenu {
   destroyEvents() {
     if (this.settings.$closeBtn) {
       const closeEvent = this.settings.eventMode === 'mouseover' ? 'mouseenter' : 'click';
-      this.settings.$closeBtn.removeEventListener(closeEvent, e => this.closeEvent(e));
-      this.settings.$closeBtn.removeEventListener('keydown', e => this.keyboardEvent(e));
+      this.settings.$closeBtn.removeEventListener(closeEvent, this.closeEvent);
+      this.settings.$closeBtn.removeEventListener('keydown', this.keyboardEvent);
     }
 
+    this.settings.levels.forEach(({toggle}) => {
+      toggle.removeEventListener('click', this.levelToggleEvent);
+      toggle.removeEventListener('mouseenter', this.levelHoverEvent);
+      toggle.removeEventListener('mouseleave', this.levelHoverLeaveEvent);
+    });
+
     if (this.settings.eventMode === 'mouseover') {
-      this.$element.removeEventListener('mouseenter', e => this.openEvent(e));
-      this.settings.$menuContainer?.removeEventListener('mouseleave', e => this.containerLeaveEvent(e));
-      document.removeEventListener('touchstart', e => this.touchStartEvent(e), { passive: true });
+      this.$element.removeEventListener('mouseenter', this.openEvent);
+      this.$element.removeEventListener('mouseleave', this.triggerLeaveEvent);
+      this.settings.$menuContainer?.removeEventListener('mouseenter', this.containerEnterEvent);
+      this.settings.$menuContainer?.removeEventListener('mouseleave', this.containerLeaveEvent);
+      document.removeEventListener('touchstart', this.touchStartEvent, { passive: true });
     } else {
-      this.$element.removeEventListener('click', e => this.toggleEvent(e));
+      this.$element.removeEventListener('click', this.toggleEvent);
     }
 
-    this.$element.removeEventListener('keydown', e => this.keyboardEvent(e));
+    this.$element.removeEventListener('keydown', this.keyboardEvent);
     this.settings.$menu.querySelectorAll('a,button,input,textarea,select')
-      .forEach(el => el.removeEventListener('keydown', e => this.keyboardEvent(e)));
-    document.removeEventListener('madj2k-flyoutmenu-close', e => this.closeEvent(e));
-    document.removeEventListener('madj2k-flyoutmenu-resize', e => this.resizeAndPositionMenuEvent(e));
+      .forEach(el => el.removeEventListener('keydown', this.keyboardEvent));
+    document.removeEventListener('madj2k-flyoutmenu-close', this.closeEvent);
+    document.removeEventListener('madj2k-flyoutmenu-open', this.targetedOpenEvent);
+    document.removeEventListener('madj2k-flyoutmenu-resize', this.resizeAndPositionMenuEvent);
+    document.removeEventListener('keydown', this.focusTrapEvent);
+    document.removeEventListener('click', this.outsideClickEvent);
+    window.removeEventListener('scroll', this.scrollEvent, { passive: true });
   }
 
 
@@ -254,27 +625,195 @@ class Madj2kFlyoutMenu {
     if (this.settings.$menuInner) {
       this.resizeObserver.observe(this.settings.$menuInner);
     }
+
+    // observe position reference while the menu is open, see startPositionTracking()
+    if (this.settings.observePositionReference) {
+      this.positionObserver = new ResizeObserver(() => this.schedulePositionUpdate());
+    }
+  }
+
+  /**
+   * Keeps the menu glued to the bottom of the position reference while it is open:
+   * tracks size changes of the reference, scrolling and finished transitions (e.g. a shrinking sticky header)
+   */
+  startPositionTracking() {
+    if (!this.settings.observePositionReference) return;
+
+    this.settings.positionTop = null;
+    this.positionObserver?.observe(this.getPositionReference());
+    window.addEventListener('scroll', this.positionTrackingEvent, { passive: true });
+    document.addEventListener('transitionend', this.positionTrackingEvent);
+  }
+
+  /**
+   * Stops tracking the position reference
+   */
+  stopPositionTracking() {
+    this.positionObserver?.disconnect();
+    window.removeEventListener('scroll', this.positionTrackingEvent, { passive: true });
+    document.removeEventListener('transitionend', this.positionTrackingEvent);
+
+    if (this.settings.positionFrame) {
+      cancelAnimationFrame(this.settings.positionFrame);
+      this.settings.positionFrame = null;
+    }
+  }
+
+  /**
+   * Handles scroll and transitionend while the position reference is tracked
+   * @param {Event} e
+   */
+  positionTrackingEvent(e) {
+    // the transitions of the menu itself do not move the reference
+    if (e.type === 'transitionend' && this.settings.$menu.contains(e.target)) return;
+
+    this.schedulePositionUpdate();
+  }
+
+  /**
+   * Updates the position once per animation frame
+   */
+  schedulePositionUpdate() {
+    if (this.settings.positionFrame) return;
+
+    this.settings.positionFrame = requestAnimationFrame(() => {
+      this.settings.positionFrame = null;
+      this.updatePosition();
+    });
+  }
+
+  /**
+   * Repositions and resizes the menu if the bottom of the position reference has moved
+   */
+  updatePosition() {
+    if (!this.isOpen() || document.activeElement.tagName === 'INPUT') return;
+
+    const refObj = this.getPositionReference();
+    const top = refObj.getBoundingClientRect().top + refObj.offsetHeight;
+
+    if (top === this.settings.positionTop) return;
+
+    this.settings.positionTop = top;
+    this.resizeAndPositionMenu();
   }
 
 
   /**
-   * Destroys ResizeObserver
+   * Destroys the ResizeObservers
    */
   destroyResizeObserver() {
-    if (this.resizeObserver && this.settings.$menuInner) {
-      this.resizeObserver.unobserve(this.settings.$menuInner);
+    if (this.resizeObserver) {
       this.resizeObserver.disconnect();
       this.resizeObserver = null;
     }
+
+    this.stopPositionTracking();
+    this.positionObserver = null;
   }
 
   /**
-   * Destroys flyout menu instance
+   * Destroys flyout menu instance:
+   * removes all listeners and observers, clears pending animations, releases the scroll lock
+   * and removes the inline styles, classes and attributes added by this instance.
+   * If other instances share the menu, the menu itself is only reset if this instance owns it
+   * and the menu classes and level attributes are kept
    */
   destroy() {
+    const {$menu, $element, $menuContainer, $menuInner} = this.settings;
+    const {openStatusClass, animationOpenStatusClass, animationCloseStatusClass, animationBodyClassPrefix} = this.settings;
+    const $body = document.body;
+    const isShared = Array.from(Madj2kFlyoutMenu.instances)
+      .some(instance => instance !== this && instance.settings.$menu === $menu);
+    const isOwner = this.getOwner() === $element;
+
     this.destroyEvents();
     this.destroyResizeObserver();
-    this.close();
+
+    this.settings.animationTimeouts.forEach(timeout => clearTimeout(timeout));
+    this.settings.animationTimeouts.clear();
+    clearTimeout(this.settings.hoverOpenTimeout);
+    clearTimeout(this.settings.levelHoverTimeout);
+    this.cancelHoverClose();
+
+    $element.classList.remove(openStatusClass, animationOpenStatusClass, animationCloseStatusClass);
+    $element.setAttribute('aria-expanded', false);
+
+    Madj2kFlyoutMenu.instances.delete(this);
+
+    if (!isOwner) {
+      document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-destroyed', {detail: this.getEventDetail()}));
+      return;
+    }
+
+    if (this.isOpen()) {
+      if ($menu.contains(document.activeElement)) {
+        this.focusToggle();
+      }
+
+      // the scroll lock is already released while closing
+      if (!$menu.classList.contains(animationCloseStatusClass)) {
+        this.toggleNoScroll();
+      }
+
+      $body.classList.remove(
+        this.settings.openStatusBodyClass,
+        `${animationBodyClassPrefix}-${animationOpenStatusClass}`,
+        `${animationBodyClassPrefix}-${animationCloseStatusClass}`
+      );
+    }
+
+    $menu.classList.remove(openStatusClass, animationOpenStatusClass, animationCloseStatusClass, 'dropdown-align-end');
+    if (!isShared) {
+      $menu.classList.remove(...this.settings.menuClasses);
+    }
+
+    if (Madj2kFlyoutMenu.owners.get($menu) === $element) {
+      Madj2kFlyoutMenu.owners.delete($menu);
+    }
+
+    $menu.style.removeProperty('top');
+    $menu.style.removeProperty('left');
+    $menu.style.removeProperty('height');
+
+    if ($menuContainer) {
+      ['transition', 'top', 'left', 'transform', 'opacity']
+        .forEach(property => $menuContainer.style.removeProperty(property));
+    }
+
+    $menuInner?.style.removeProperty('padding-left');
+
+    this.settings.levels.forEach(({toggle, panel, addedHaspopup, addedLabelledby}) => {
+      toggle.classList.remove(openStatusClass);
+      toggle.setAttribute('aria-expanded', false);
+      panel.classList.remove(openStatusClass, animationOpenStatusClass, animationCloseStatusClass);
+
+      if (isShared) return;
+
+      panel.removeAttribute('aria-hidden');
+      if (addedHaspopup) {
+        toggle.removeAttribute('aria-haspopup');
+      }
+      if (addedLabelledby) {
+        panel.removeAttribute('aria-labelledby');
+      }
+    });
+
+    document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-destroyed', {detail: this.getEventDetail()}));
+  }
+
+  /**
+   * Executes the given callback once the animation duration has passed.
+   * Pending callbacks are tracked so that they can be cleared on destroy().
+   * @param {Function} callback - The function to execute after the animation
+   * @param {number} duration - Duration in milliseconds, defaults to animationDuration
+   */
+  setAnimationTimeout(callback, duration = this.settings.animationDuration) {
+    const timeout = setTimeout(() => {
+      this.settings.animationTimeouts.delete(timeout);
+      callback();
+    }, duration);
+
+    this.settings.animationTimeouts.add(timeout);
   }
 
 
@@ -291,11 +830,6 @@ class Madj2kFlyoutMenu {
    * Toggles the menu open/closed state
    */
   toggle() {
-    const others = document.querySelectorAll(`.${this.settings.menuToggleClass}`);
-    others.forEach(btn => {
-      if (btn !== this.$element) btn.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-close'));
-    });
-
     if (this.$element.classList.contains(this.settings.openStatusClass)) {
       this.close();
     } else {
@@ -308,7 +842,32 @@ class Madj2kFlyoutMenu {
    * @param {number} timeout - Delay before focusing
    */
   focusToggle(timeout = 0) {
-    setTimeout(() => this.$element.focus(), timeout);
+    setTimeout(() => this.getOwner().focus(), timeout);
+  }
+
+  /**
+   * Returns the trigger element that opened the menu last
+   * @returns {HTMLElement}
+   */
+  getOwner() {
+    return Madj2kFlyoutMenu.owners.get(this.settings.$menu) || this.$element;
+  }
+
+  /**
+   * Takes over the menu opened by another trigger without closing and reopening it
+   */
+  transferOwnership() {
+    const {$menu, openStatusClass, animationOpenStatusClass} = this.settings;
+    const $previous = this.getOwner();
+
+    if ($previous === this.$element) return;
+
+    $previous.classList.remove(openStatusClass, animationOpenStatusClass);
+    $previous.setAttribute('aria-expanded', false);
+
+    this.$element.classList.add(openStatusClass);
+    this.$element.setAttribute('aria-expanded', true);
+    Madj2kFlyoutMenu.owners.set($menu, this.$element);
   }
 
 
@@ -318,22 +877,41 @@ class Madj2kFlyoutMenu {
    */
   openEvent(e) {
     e.preventDefault();
-    this.open();
+    this.cancelHoverClose();
+    clearTimeout(this.settings.hoverOpenTimeout);
+
+    // opened by pointer: do not move the focus
+    if (!this.settings.hoverOpenDelay) {
+      this.open(false);
+      return;
+    }
+
+    this.settings.hoverOpenTimeout = setTimeout(() => this.open(false), this.settings.hoverOpenDelay);
   }
 
 
   /**
    * Opens the flyout menu
+   * @param {boolean} focusMenu - Move the focus into the menu once it is opened
    */
-  open() {
-    const {$menu, $element, animationOpenStatusClass, openStatusClass, openStatusBodyClass, animationBodyClassPrefix, animationDirection} = this.settings;
-    const $body = document.body;
+  open(focusMenu = true) {
+    const {$menu, $element, animationOpenStatusClass, animationCloseStatusClass, openStatusClass, openStatusBodyClass, animationBodyClassPrefix} = this.settings;
+
+    // already opened via another trigger of the same menu
+    if ($menu.classList.contains(openStatusClass) && !$menu.classList.contains(animationCloseStatusClass)) {
+      this.transferOwnership();
+      return;
+    }
 
     if (!$menu.classList.contains(openStatusClass) && !$menu.classList.contains(animationOpenStatusClass)) {
       document.dispatchEvent(new CustomEvent('madj2k-slidemenu-close'));
       document.dispatchEvent(new CustomEvent('madj2k-pulldownmenu-close'));
       document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-close'));
-      document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-opening'));
+      document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-opening', {detail: this.getEventDetail()}));
+
+      Madj2kFlyoutMenu.owners.set($menu, $element);
+      this.settings.scrollStart = window.scrollY;
+      this.startPositionTracking();
 
       this.toggleNoScroll();
       this.resizeAndPositionMenu();
@@ -342,26 +920,67 @@ class Madj2kFlyoutMenu {
       $menu.classList.add(openStatusClass, animationOpenStatusClass);
       $element.classList.add(openStatusClass, animationOpenStatusClass);
       $element.setAttribute('aria-expanded', true);
-      $body.classList.add(openStatusBodyClass);
-      $body.classList.add(`${animationBodyClassPrefix}-${animationOpenStatusClass}`);
+      this.toggleBodyClass(openStatusBodyClass, true);
+      this.toggleBodyClass(`${animationBodyClassPrefix}-${animationOpenStatusClass}`, true);
 
-      if (animationDirection === 'left') {
-        this.settings.$menuContainer.style.transition = `left ${this.settings.animationDuration}ms`;
-        this.settings.$menuContainer.style.left = `0${this.settings.animationUnit}`;
-      } else {
-        this.settings.$menuContainer.style.transition = `top ${this.settings.animationDuration}ms`;
-        this.settings.$menuContainer.style.top = `0${this.settings.animationUnit}`;
-      }
+      this.animateContainer(this.getAnimationStyles().visible);
 
-      setTimeout(() => {
+      this.setAnimationTimeout(() => {
         $menu.classList.remove(animationOpenStatusClass);
         $element.classList.remove(animationOpenStatusClass);
-        $body.classList.remove(`${animationBodyClassPrefix}-${animationOpenStatusClass}`);
-        document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-opened'));
-      }, this.settings.animationDuration);
+        this.toggleBodyClass(`${animationBodyClassPrefix}-${animationOpenStatusClass}`, false);
+        document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-opened', {detail: this.getEventDetail()}));
+
+        if (focusMenu) {
+          this.focusFirstItem();
+        }
+      });
     }
   }
 
+  /**
+   * Adds or removes the given class on the body. In heightMode 'dropdown' the body is left untouched,
+   * as the dropdown has no page-level side effects
+   * @param {string} className - The class
+   * @param {boolean} force - True to add, false to remove the class
+   */
+  toggleBodyClass(className, force) {
+    if (this.settings.heightMode === 'dropdown') return;
+    document.body.classList.toggle(className, force);
+  }
+
+  /**
+   * Handles the madj2k-flyoutmenu-open event. Only events with detail.id of this menu are handled,
+   * and only by one instance if several triggers control the menu
+   * @param {CustomEvent} e - The open event
+   */
+  targetedOpenEvent(e) {
+    const id = e.detail?.id;
+    if (!id || id !== this.settings.$menu.id) return;
+    if (Madj2kFlyoutMenu.getInstance(id) !== this) return;
+
+    this.open();
+  }
+
+  /**
+   * Checks whether a document event is meant for this menu:
+   * events without detail.id are broadcasts to all menus
+   * @param {Event} e - The event
+   * @returns {boolean}
+   */
+  isTargetOf(e) {
+    const id = e.detail?.id;
+    return !id || id === this.settings.$menu.id;
+  }
+
+  /**
+   * Returns the detail of the events dispatched by this menu
+   * @returns {{id: string, trigger: HTMLElement}}
+   */
+  getEventDetail() {
+    return {id: this.settings.$menu.id, trigger: this.getOwner()};
+  }
+
   /**
    * Returns true if menu is currently open
    * @returns {boolean}
@@ -375,12 +994,11 @@ class Madj2kFlyoutMenu {
    * @param {Event} e - The close event
    */
   closeEvent(e) {
+    if (!this.isTargetOf(e)) return;
+
     e.preventDefault();
     if (document.activeElement.tagName !== 'INPUT') {
       this.close();
-      if (e.target === this.settings.$closeBtn) {
-        this.focusToggle();
-      }
     }
   }
 
@@ -388,11 +1006,19 @@ class Madj2kFlyoutMenu {
    * Closes the flyout menu
    */
   close() {
-    const {$menu, $element, animationCloseStatusClass, openStatusClass, openStatusBodyClass, animationBodyClassPrefix, animationDirection} = this.settings;
-    const $body = document.body;
+    const {$menu, animationCloseStatusClass, openStatusClass, openStatusBodyClass, animationBodyClassPrefix} = this.settings;
+    const $element = this.getOwner();
+
+    clearTimeout(this.settings.hoverOpenTimeout);
+    this.cancelHoverClose();
 
     if ($menu.classList.contains(openStatusClass) && !$menu.classList.contains(animationCloseStatusClass)) {
-      document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-closing'));
+      document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-closing', {detail: this.getEventDetail()}));
+
+      // return the focus to the toggle before the menu gets hidden
+      if ($menu.contains(document.activeElement)) {
+        this.focusToggle();
+      }
 
       this.toggleNoScroll();
 
@@ -400,24 +1026,333 @@ class Madj2kFlyoutMenu {
       $element.classList.add(animationCloseStatusClass);
       $element.classList.remove(openStatusClass);
       $element.setAttribute('aria-expanded', false);
-      $body.classList.add(`${animationBodyClassPrefix}-${animationCloseStatusClass}`);
-      $body.classList.remove(openStatusBodyClass);
+      this.toggleBodyClass(`${animationBodyClassPrefix}-${animationCloseStatusClass}`, true);
+      this.toggleBodyClass(openStatusBodyClass, false);
 
-      if (animationDirection === 'left') {
-        this.settings.$menuContainer.style.transition = `left ${this.settings.animationDuration}ms`;
-        this.settings.$menuContainer.style.left = `-100${this.settings.animationUnit}`;
-      } else {
-        this.settings.$menuContainer.style.transition = `top ${this.settings.animationDuration}ms`;
-        this.settings.$menuContainer.style.top = `-100${this.settings.animationUnit}`;
-      }
+      this.animateContainer(this.getAnimationStyles().hidden);
 
-      setTimeout(() => {
+      this.setAnimationTimeout(() => {
         $menu.classList.remove(openStatusClass, animationCloseStatusClass);
         $element.classList.remove(animationCloseStatusClass);
-        $body.classList.remove(`${animationBodyClassPrefix}-${animationCloseStatusClass}`);
-        document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-closed'));
-      }, this.settings.animationDuration);
+        this.toggleBodyClass(`${animationBodyClassPrefix}-${animationCloseStatusClass}`, false);
+        this.closeLevels();
+        this.stopPositionTracking();
+        document.dispatchEvent(new CustomEvent('madj2k-flyoutmenu-closed', {detail: this.getEventDetail()}));
+      });
+    }
+  }
+
+  /**
+   * Initializes the nested levels of the menu. Each level toggle opens the level panel
+   * referenced by its aria-controls; panels may contain further levels
+   */
+  initLevels() {
+    const {$menu, levelToggleClass} = this.settings;
+
+    this.settings.levels = Array.from($menu.querySelectorAll(`.${levelToggleClass}`))
+      .map(toggle => ({toggle, panel: document.getElementById(toggle.getAttribute('aria-controls'))}))
+      .filter(entry => entry.panel)
+      .map(entry => ({...entry, level: this.getLevelNumber(entry.toggle) + 1}));
+
+    this.settings.levels.forEach(entry => {
+      const {toggle, panel} = entry;
+
+      // remember the attributes added here, so that destroy() only removes those
+      entry.addedHaspopup = !toggle.hasAttribute('aria-haspopup');
+      entry.addedLabelledby = !!toggle.id && !panel.hasAttribute('aria-labelledby');
+
+      if (entry.addedHaspopup) {
+        toggle.setAttribute('aria-haspopup', true);
+      }
+      toggle.setAttribute('aria-expanded', false);
+      panel.setAttribute('aria-hidden', true);
+
+      if (entry.addedLabelledby) {
+        panel.setAttribute('aria-labelledby', toggle.id);
+      }
+    });
+  }
+
+  /**
+   * Returns the number of the level the given element is placed in (the menu itself is level 1)
+   * @param {HTMLElement} element
+   * @returns {number}
+   */
+  getLevelNumber(element) {
+    const selector = `.${this.settings.levelClass}`;
+    let level = 1;
+    let panel = element.parentElement?.closest(selector);
+
+    while (panel) {
+      level++;
+      panel = panel.parentElement?.closest(selector);
     }
+
+    return level;
+  }
+
+  /**
+   * Returns the level entry of the given level toggle
+   * @param {HTMLElement} toggle
+   * @returns {{toggle: HTMLElement, panel: HTMLElement, level: number}|undefined}
+   */
+  getLevel(toggle) {
+    return this.settings.levels.find(entry => entry.toggle === toggle);
+  }
+
+  /**
+   * Returns the innermost level entry whose panel contains the given element
+   * @param {HTMLElement} element
+   * @returns {{toggle: HTMLElement, panel: HTMLElement, level: number}|undefined}
+   */
+  getParentLevel(element) {
+    return this.settings.levels
+      .filter(entry => entry.panel.contains(element))
+      .sort((a, b) => b.level - a.level)[0];
+  }
+
+  /**
+   * Returns true if the panel of the given level entry is open
+   * @param {{panel: HTMLElement}} entry
+   * @returns {boolean}
+   */
+  isLevelOpen(entry) {
+    return entry.panel.classList.contains(this.settings.openStatusClass);
+  }
+
+  /**
+   * Checks whether the given element is placed inside a closed level panel
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  isInClosedLevel(element) {
+    return this.settings.levels.some(entry => !this.isLevelOpen(entry) && entry.panel.contains(element));
+  }
+
+  /**
+   * Handles click on a level toggle. In eventMode 'mouseover' the level is usually opened by hovering already,
+   * so a click only opens a closed level (e.g. on touch devices) and lets a link of an open level navigate
+   * @param {MouseEvent} e
+   */
+  levelToggleEvent(e) {
+    const entry = this.getLevel(e.currentTarget);
+    if (!entry) return;
+
+    if (this.settings.eventMode === 'mouseover' && this.isLevelOpen(entry)) return;
+
+    clearTimeout(this.settings.levelHoverTimeout);
+    e.preventDefault();
+    this.isLevelOpen(entry) ? this.closeLevel(entry.toggle) : this.openLevel(entry.toggle);
+  }
+
+  /**
+   * Handles mouseenter on a level toggle (eventMode 'mouseover')
+   * @param {MouseEvent} e
+   */
+  levelHoverEvent(e) {
+    const toggle = e.currentTarget;
+
+    clearTimeout(this.settings.levelHoverTimeout);
+    this.settings.levelHoverTimeout = setTimeout(() => this.openLevel(toggle), this.settings.hoverOpenDelay);
+  }
+
+  /**
+   * Handles mouseleave on a level toggle (eventMode 'mouseover')
+   */
+  levelHoverLeaveEvent() {
+    clearTimeout(this.settings.levelHoverTimeout);
+  }
+
+  /**
+   * Handles keyboard navigation between levels:
+   * ArrowRight on a level toggle opens its level, ArrowLeft and Escape inside a level close it
+   * @param {KeyboardEvent} e - The keyboard event
+   * @returns {boolean} True if the event has been handled
+   */
+  levelKeyboardEvent(e) {
+    const element = e.target;
+    const entry = this.getLevel(element);
+
+    if (entry && e.key === 'ArrowRight') {
+      e.preventDefault();
+      this.openLevel(element);
+
+      const first = entry.panel.querySelector(this.getFocusableSelector());
+      if (first) first.focus();
+      return true;
+    }
+
+    const parent = this.getParentLevel(element);
+    if (parent && (e.key === 'Escape' || (e.key === 'ArrowLeft' && !['INPUT', 'TEXTAREA'].includes(element.tagName)))) {
+      e.preventDefault();
+      this.closeLevel(parent.toggle);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Opens the level of the given toggle and closes other open levels of the same depth
+   * @param {HTMLElement} toggle - The level toggle
+   */
+  openLevel(toggle) {
+    const {openStatusClass, animationOpenStatusClass, levelAnimationDuration} = this.settings;
+    const entry = this.getLevel(toggle);
+    if (!entry || this.isLevelOpen(entry)) return;
+
+    this.settings.levels
+      .filter(other => other !== entry && other.level === entry.level && this.isLevelOpen(other))
+      .forEach(other => this.closeLevel(other.toggle));
+
+    this.dispatchLevelEvent('opening', entry);
+
+    entry.panel.classList.add(openStatusClass, animationOpenStatusClass);
+    entry.panel.setAttribute('aria-hidden', false);
+    entry.toggle.classList.add(openStatusClass);
+    entry.toggle.setAttribute('aria-expanded', true);
+
+    this.setAnimationTimeout(() => {
+      entry.panel.classList.remove(animationOpenStatusClass);
+      this.dispatchLevelEvent('opened', entry);
+    }, levelAnimationDuration);
+  }
+
+  /**
+   * Closes the level of the given toggle including all levels inside it
+   * @param {HTMLElement} toggle - The level toggle
+   */
+  closeLevel(toggle) {
+    const {openStatusClass, animationCloseStatusClass, levelAnimationDuration} = this.settings;
+    const entry = this.getLevel(toggle);
+    if (!entry || !this.isLevelOpen(entry)) return;
+
+    this.settings.levels
+      .filter(child => child.level > entry.level && entry.panel.contains(child.toggle))
+      .forEach(child => this.closeLevel(child.toggle));
+
+    // return the focus to the toggle before the level gets hidden
+    if (entry.panel.contains(document.activeElement)) {
+      entry.toggle.focus();
+    }
+
+    this.dispatchLevelEvent('closing', entry);
+
+    entry.panel.classList.add(animationCloseStatusClass);
+    entry.panel.classList.remove(openStatusClass);
+    entry.panel.setAttribute('aria-hidden', true);
+    entry.toggle.classList.remove(openStatusClass);
+    entry.toggle.setAttribute('aria-expanded', false);
+
+    this.setAnimationTimeout(() => {
+      entry.panel.classList.remove(animationCloseStatusClass);
+      this.dispatchLevelEvent('closed', entry);
+    }, levelAnimationDuration);
+  }
+
+  /**
+   * Closes all open levels
+   */
+  closeLevels() {
+    this.settings.levels
+      .filter(entry => this.isLevelOpen(entry))
+      .forEach(entry => this.closeLevel(entry.toggle));
+  }
+
+  /**
+   * Dispatches a lifecycle event of a level, e.g. madj2k-flyoutmenu-level2-opened
+   * @param {string} state - opening, opened, closing or closed
+   * @param {{toggle: HTMLElement, panel: HTMLElement, level: number}} entry
+   */
+  dispatchLevelEvent(state, entry) {
+    const detail = {...this.getEventDetail(), level: entry.level, toggle: entry.toggle, panel: entry.panel};
+    document.dispatchEvent(new CustomEvent(`madj2k-flyoutmenu-level${entry.level}-${state}`, {detail}));
+  }
+
+  /**
+   * Returns the supported animation directions
+   * @returns {string[]}
+   */
+  getAnimationDirections() {
+    return ['top', 'left', 'right', 'bottom', 'fade', 'scale'];
+  }
+
+  /**
+   * Changes the animation direction and keeps the animation-direction-* class of the menu in sync
+   * @param {string} direction - One of getAnimationDirections()
+   */
+  setAnimationDirection(direction) {
+    if (!this.getAnimationDirections().includes(direction)) return;
+
+    const {$menu, $menuContainer, menuClasses} = this.settings;
+    const oldClass = 'animation-direction-' + this.settings.animationDirection;
+    const newClass = 'animation-direction-' + direction;
+
+    $menu.classList.replace(oldClass, newClass);
+    menuClasses.splice(menuClasses.indexOf(oldClass), 1, newClass);
+    this.settings.animationDirection = direction;
+
+    // reset the inline position so that the styles of the new direction take effect
+    const {hidden, visible} = this.getAnimationStyles();
+    if ($menuContainer) {
+      ['transition', 'top', 'left', 'transform', 'opacity'].forEach(property => $menuContainer.style.removeProperty(property));
+      Object.assign($menuContainer.style, this.isOpen() ? visible : hidden);
+    }
+  }
+
+  /**
+   * Returns the styles of the menu container in its hidden and visible state,
+   * depending on animationDirection, animationUnit and animationTransform
+   * @returns {{hidden: Object, visible: Object}}
+   */
+  getAnimationStyles() {
+    const unit = this.settings.animationUnit;
+
+    if (this.settings.animationDirection === 'fade') {
+      return {hidden: {opacity: '0'}, visible: {opacity: '1'}};
+    }
+
+    if (this.settings.animationDirection === 'scale') {
+      return {
+        hidden: {opacity: '0', transform: 'scale(0.95)'},
+        visible: {opacity: '1', transform: 'scale(1)'}
+      };
+    }
+
+    const [x, y] = {
+      top: [0, -100],
+      bottom: [0, 100],
+      left: [-100, 0],
+      right: [100, 0]
+    }[this.settings.animationDirection];
+
+    if (this.settings.animationTransform) {
+      return {
+        hidden: {transform: `translate3d(${x}${unit}, ${y}${unit}, 0)`},
+        visible: {transform: 'translate3d(0, 0, 0)'}
+      };
+    }
+
+    const property = x ? 'left' : 'top';
+    return {
+      hidden: {[property]: `${x || y}${unit}`},
+      visible: {[property]: `0${unit}`}
+    };
+  }
+
+  /**
+   * Animates the menu container to the given styles
+   * @param {Object} styles - e.g. {top: '0%'} or {transform: 'translate3d(0, 0, 0)'}
+   */
+  animateContainer(styles) {
+    const $container = this.settings.$menuContainer;
+    if (!$container) return;
+
+    $container.style.transition = Object.keys(styles)
+      .map(property => `${property} ${this.settings.animationDuration}ms`)
+      .join(', ');
+
+    Object.assign($container.style, styles);
   }
 
   /**
@@ -425,6 +1360,8 @@ class Madj2kFlyoutMenu {
    * @param {Event} e - The resize event
    */
   resizeAndPositionMenuEvent(e) {
+    if (!this.isTargetOf(e)) return;
+
     if (document.activeElement.tagName !== 'INPUT') {
       this.resizeAndPositionMenu();
     }
@@ -450,7 +1387,7 @@ class Madj2kFlyoutMenu {
     this.settings.$menu.classList.add(this.settings.heightCalculationClass);
 
     const innerHeight = this.settings.$menuInner.offsetHeight || this.settings.$menu.offsetHeight;
-    const refObj = this.settings.$positionReference || this.$element;
+    const refObj = this.getPositionReference();
     const refPos = refObj.getBoundingClientRect();
     const refHeight = refObj.offsetHeight;
     const flyoutTop = refPos.top + refHeight;
@@ -467,6 +1404,15 @@ class Madj2kFlyoutMenu {
         newHeight = `${innerHeight}px`;
       }
 
+    } else if (this.settings.heightMode === 'dropdown') {
+
+      // limited by the viewport (and dropdownMaxHeight), the container scrolls internally
+      const {dropdownViewportPadding, dropdownMaxHeight} = this.settings;
+      let maxHeight = window.innerHeight - flyoutTop - dropdownViewportPadding;
+      if (dropdownMaxHeight) maxHeight = Math.min(maxHeight, dropdownMaxHeight);
+
+      newHeight = `${Math.max(0, Math.min(innerHeight, maxHeight))}px`;
+
     } else if (this.settings.heightMode === 'maxContent') {
       newHeight = `max-content`;
       console.warn('heightMode: maxContent is not working on Apple Safari. Please use heightMode: full instead.');
@@ -485,13 +1431,64 @@ class Madj2kFlyoutMenu {
    * Positions the menu based on the reference element
    */
   positionMenu() {
-    const refObj = this.settings.$positionReference || this.$element;
+    if (this.settings.heightMode === 'dropdown') {
+      this.positionDropdown();
+      return;
+    }
+
+    const refObj = this.getPositionReference();
     const refPos = refObj.getBoundingClientRect();
     const flyoutTop = refPos.top + refObj.offsetHeight;
 
     this.settings.$menu.style.top = `${flyoutTop}px`;
   }
 
+  /**
+   * Returns the element the menu is positioned under:
+   * the trigger in heightMode 'dropdown', otherwise the position reference (falling back to the trigger)
+   * @returns {HTMLElement}
+   */
+  getPositionReference() {
+    if (this.settings.heightMode === 'dropdown') return this.$element;
+    return this.settings.$positionReference || this.$element;
+  }
+
+  /**
+   * Anchors the menu under its trigger (heightMode 'dropdown'). The menu is aligned according to dropdownAlign,
+   * flipped to the other side of the trigger if it does not fit into the viewport
+   * and shifted into the viewport if neither side fits
+   */
+  positionDropdown() {
+    const {$menu, dropdownAlign, dropdownViewportPadding} = this.settings;
+    const triggerPos = this.$element.getBoundingClientRect();
+    const parentPos = ($menu.offsetParent || document.body).getBoundingClientRect();
+    const width = $menu.offsetWidth;
+
+    const min = dropdownViewportPadding;
+    const max = document.documentElement.clientWidth - dropdownViewportPadding - width;
+    const start = triggerPos.left;
+    const end = triggerPos.right - width;
+
+    let alignEnd = dropdownAlign === 'end';
+    let left = alignEnd ? end : start;
+
+    // flip
+    if (left < min || left > max) {
+      const flipped = alignEnd ? start : end;
+      if (flipped >= min && flipped <= max) {
+        left = flipped;
+        alignEnd = !alignEnd;
+      }
+    }
+
+    // shift
+    left = Math.min(Math.max(left, min), Math.max(min, max));
+
+    $menu.classList.toggle('dropdown-align-end', alignEnd);
+    $menu.style.top = `${triggerPos.bottom - parentPos.top}px`;
+    $menu.style.left = `${left - parentPos.left}px`;
+  }
+
   /**
    * Adjusts menu padding based on settings
    */
@@ -499,6 +1496,7 @@ class Madj2kFlyoutMenu {
 
     if (!this.settings.$paddingReference) return;
     if (this.settings.paddingBehavior === 0) return;
+    if (this.settings.heightMode === 'dropdown') return;
     // should be re-evaluated on a resize event after re-opening the menu
     // if (this.settings.paddingBehavior === 1 && this.settings.$menuInner.hasAttribute('data-padding-set')) return;
 
@@ -542,6 +1540,8 @@ class Madj2kFlyoutMenu {
       const inner = body.querySelector('.no-scroll-helper-inner');
       let noScrollClass ='';
 
+      if (!helper || !inner) return;
+
       if (document.documentElement.scrollHeight > window.innerHeight) {
         noScrollClass = this.settings.openStatusBodyClassOverflow;
       }
@@ -551,7 +1551,7 @@ class Madj2kFlyoutMenu {
         helper.setAttribute('data-scroll-top', scrollTop);
         helper.style.cssText = 'position:relative;overflow:hidden;height:100vh;width:100%';
         inner.style.cssText = `position:absolute;top:${scrollTop}px;height:100%;width:100%`;
-        body.classList.add(noScrollClass);
+        if (noScrollClass) body.classList.add(noScrollClass);
         window.scrollTo({top: 0, behavior: 'instant'});
       } else {
         const scrollTop = parseInt(helper.getAttribute('data-scroll-top') || '0') * -1;
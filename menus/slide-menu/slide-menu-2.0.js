@@ -47,6 +47,12 @@ class Madj2kSlideMenu {
 
     const defaults = {
       menuItemsJson: [],
+      menuItemsUrl: '',
+      menuItemsCache: true,
+      menuItemsCacheKey: '',
+      menuItemsCacheVersion: '',
+      menuItemsCacheLifetime: 3600,
+      fetchFunction: null,
 
       // status classes
       openStatusClass: 'open',
@@ -62,6 +68,8 @@ class Madj2kSlideMenu {
 
       animationOpenStatusClass: 'opening',
       animationCloseStatusClass: 'closing',
+      loadingStatusClass: 'loading',
+      columnsStatusClass: 'columns',
 
       // toggle classes
       menuToggleClass: 'js-slide-nav-toggle',
@@ -77,16 +85,62 @@ class Madj2kSlideMenu {
 
       // special classes
       templatePartsClass: 'js-slide-nav-tmpl',
+      searchInputClass: 'js-slide-nav-search',
+      searchStatusClass: 'searching',
+      breadcrumbClass: 'slide-nav-breadcrumbs',
+
+      // templates
+      templates: {},
+      defaultTemplates: false,
+      labels: {},
 
       // params
       animationDuration: 500,
+      animationType: 'slide',
+      animationEasing: 'ease',
+      reducedMotion: true,
+      cardIdPrefix: 'slide-card-',
+      lazyRender: false,
+      loadChildrenCallback: null,
+      search: false,
+      searchMinLength: 2,
+      searchMaxResults: 50,
+      searchDelay: 200,
+      typeaheadTimeout: 500,
+      searchBreadcrumbSeparator: ' / ',
+      breadcrumb: false,
+      breadcrumbSeparator: ' / ',
+      markerCallback: null,
+      allowedUrlSchemes: ['http', 'https', 'mailto', 'tel'],
+      swipe: false,
+      swipeThreshold: 0.3,
+      swipeDownToClose: false,
+      swipeDownThreshold: 100,
+      rememberOpenCard: false,
+      rememberStorageKey: '',
+      rememberLifetime: 1800,
+      columns: 0,
+      columnsBreakpoint: 1024,
       loadOnOpen: true,
       startOnHome: false,
       scrollHelper: true,
     };
 
     this.settings = Object.assign({}, defaults, options);
+    this.settings.labels = Object.assign({
+      back: 'Back',
+      levelUp: 'One level up',
+      openSubmenu: 'Open submenu',
+      search: 'Search menu',
+      searchResults: 'results for',
+      home: 'Home',
+      breadcrumb: 'You are here'
+    }, options.labels);
     this.settings.isLoaded = false;
+    this.settings.isLoading = false;
+    this.settings.isDestroyed = false;
+    this.settings.menuItemsLoaded = this.settings.menuItemsJson.length > 0;
+    this.settings.openOnLoad = false;
 
     this.$element = element;
     this.settings.$element = element;
@@ -99,9 +153,29 @@ class Madj2kSlideMenu {
       ? document.getElementById(positionReference)
       : null;
 
+    this.settings.menuItemsIndex = new Map();
     this.settings.$cards = [];
     this.settings.$activeCards = [];
     this.settings.$openCard = null;
+    this.settings.$startCard = null;
+    this.settings.navigationQueue = Promise.resolve();
+    this.settings.$noScrollHelper = null;
+    this.settings.$searchInput = null;
+    this.settings.$searchReturnCard = null;
+    this.settings.searchTimeout = null;
+    this.settings.$breadcrumb = null;
+    this.settings.swipeState = null;
+    this.settings.typeahead = { query: '', timeout: null };
+    this.settings.columnsMediaQuery = this.settings.columns > 1 && window.matchMedia
+      ? window.matchMedia(`(min-width: ${this.settings.columnsBreakpoint}px)`)
+      : null;
+    this.settings.animationTimeouts = new Set();
+    this.settings.pendingAnimations = new Set();
+    this.settings.transition = this.getTransition();
+    this.settings.compiledTemplates = new Map();
+    this.settings.initialMenuHtml = this.settings.$menu?.innerHTML ?? '';
+    this.settings.initialToggleAttributes = this.getAttributes(this.$element, ['class', 'aria-expanded']);
+    this.settings.initialMenuAttributes = this.getAttributes(this.settings.$menu, ['class', 'style', 'aria-busy']);
 
     // bind persistent handlers
     this.toggleEvent = this.toggleEvent.bind(this);
@@ -111,6 +185,15 @@ class Madj2kSlideMenu {
     this.nextCardEvent = this.nextCardEvent.bind(this);
     this.resizeCardsEvent = this.resizeCardsEvent.bind(this);
     this.positionMenuEvent = this.positionMenuEvent.bind(this);
+    this.searchInputEvent = this.searchInputEvent.bind(this);
+    this.searchGoToEvent = this.searchGoToEvent.bind(this);
+    this.breadcrumbEvent = this.breadcrumbEvent.bind(this);
+    this.columnsEvent = this.columnsEvent.bind(this);
+    this.touchStartEvent = this.touchStartEvent.bind(this);
+    this.touchMoveEvent = this.touchMoveEvent.bind(this);
+    this.touchEndEvent = this.touchEndEvent.bind(this);
+
+    this.settings.$menu?.classList.add(`animation-type-${this.getTransitionName()}`);
 
     this.initNoScrollHelper();
     this.bindInitialEvents();
@@ -132,12 +215,129 @@ class Madj2kSlideMenu {
     document.addEventListener('madj2k-slidemenu-close', this.closeEvent);
   }
 
+  /**
+   * Destroys the menu instance and restores the DOM to its state before initialization.
+   * Removes all event listeners, clears pending animations and settles pending navigations with `false`,
+   * releases the scroll lock, removes all status classes, restores the original content of the menu container
+   * and unwraps the no-scroll helper if it was created by this instance.
+   *
+   * @return {void} This method does not return a value.
+   */
+  destroy() {
+
+    this.settings.animationTimeouts.forEach(timeout => clearTimeout(timeout));
+    this.settings.animationTimeouts.clear();
+
+    // settle the promises of aborted navigations
+    this.settings.pendingAnimations.forEach(settle => settle(false));
+    this.settings.isDestroyed = true;
+
+    // remove listeners
+    this.$element.removeEventListener('click', this.toggleEvent);
+    this.$element.removeEventListener('keydown', this.keyboardEvent);
+    document.removeEventListener('madj2k-slidemenu-close', this.closeEvent);
+    this.unbindEvents();
+
+    clearTimeout(this.settings.searchTimeout);
+    clearTimeout(this.settings.typeahead.timeout);
+
+    // remove the search results
+    this.getCardByUid('search')?.removeEventListener('click', this.searchGoToEvent);
+    this.settings.$searchInput?.removeEventListener('input', this.searchInputEvent);
+
+    // release scroll lock
+    if (this.settings.scrollHelper && document.body.classList.contains(this.settings.openStatusBodyClass)) {
+      this.toggleNoScroll();
+    }
+
+    // restore toggle
+    this.$element.classList.remove(
+      this.settings.openStatusClass,
+      this.settings.animationOpenStatusClass,
+      this.settings.animationCloseStatusClass,
+      this.settings.loadingStatusClass
+    );
+    this.restoreAttributes(this.$element, this.settings.initialToggleAttributes);
+
+    // restore menu container
+    if (this.settings.$menu) {
+      this.settings.$menu.classList.remove(
+        this.settings.openStatusClass,
+        this.settings.animationOpenStatusClass,
+        this.settings.animationCloseStatusClass,
+        this.settings.loadingStatusClass,
+        this.settings.columnsStatusClass,
+        this.settings.searchStatusClass,
+        `animation-type-${this.getTransitionName()}`
+      );
+      this.settings.$menu.innerHTML = this.settings.initialMenuHtml;
+      this.restoreAttributes(this.settings.$menu, this.settings.initialMenuAttributes);
+    }
+
+    this.destroyNoScrollHelper();
+
+    this.settings.$cards = [];
+    this.settings.$activeCards = [];
+    this.settings.$openCard = null;
+    this.settings.$startCard = null;
+    this.settings.$menuWrap = null;
+    this.settings.$searchInput = null;
+    this.settings.$searchReturnCard = null;
+    this.settings.$breadcrumb = null;
+    this.settings.swipeState = null;
+    this.settings.typeahead = { query: '', timeout: null };
+    this.settings.menuItemsIndex.clear();
+    this.settings.compiledTemplates.clear();
+    this.settings.pendingAnimations.clear();
+    this.settings.loadingPromise = null;
+    this.settings.isLoaded = false;
+    this.settings.isLoading = false;
+    this.settings.isDestroyed = true;
+    this.settings.openOnLoad = false;
+
+    document.dispatchEvent(new Event('madj2k-slidemenu-destroyed'));
+  }
+
+  /**
+   * Returns the values of the given attributes of the element, `null` for missing attributes.
+   *
+   * @param {HTMLElement|null} element - The element.
+   * @param {Array<string>} names - The names of the attributes.
+   * @return {Object} The attribute values keyed by name.
+   */
+  getAttributes(element, names) {
+    return Object.fromEntries(names.map(name => [name, element?.getAttribute(name) ?? null]));
+  }
+
+  /**
+   * Restores the attribute values returned by getAttributes(): attributes that did not exist are removed.
+   * The classes are removed individually by destroy(), so that classes added by others are kept;
+   * only an empty `class` attribute that did not exist is removed.
+   *
+   * @param {HTMLElement} element - The element.
+   * @param {Object} attributes - The attribute values keyed by name.
+   * @return {void} This method does not return a value.
+   */
+  restoreAttributes(element, attributes) {
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (name === 'class') {
+        if (value === null && !element.classList.length) element.removeAttribute('class');
+      } else if (value === null) {
+        element.removeAttribute(name);
+      } else {
+        element.setAttribute(name, value);
+      }
+    });
+  }
+
   /**
    * Loads the menu by initializing templates, rendering menu items, and caching elements.
    * Verifies the presence of menu container and templates before setting up the menu.
    * Handles menu item initialization and binds necessary events.
+   * If `menuItemsUrl` is set and no menu items are available yet, the items are taken from the cache
+   * or fetched asynchronously via `loadMenuItems()`.
    *
-   * @return {boolean} Returns true if the menu was successfully loaded, otherwise returns false.
+   * @return {boolean} Returns true if the menu was successfully loaded, otherwise returns false (also while menu items are still being fetched).
    */
   loadMenu() {
 
@@ -145,30 +345,55 @@ class Madj2kSlideMenu {
       return true;
     }
 
+    if (this.settings.isDestroyed) {
+      return false;
+    }
+
     if (!this.settings.$menu) {
       console.warn('Menu container not found. Can not load menu.');
       return false;
     }
 
-    if (this.settings.menuItemsJson.length) {
+    if (this.settings.menuItemsUrl && !this.settings.menuItemsLoaded) {
+      const cachedItems = this.getCachedMenuItems();
+      if (!cachedItems) {
+        this.loadMenuItems();
+        return false;
+      }
+
+      this.settings.menuItemsJson = cachedItems;
+      this.settings.menuItemsLoaded = true;
+      document.dispatchEvent(new CustomEvent('madj2k-slidemenu-loaded', {
+        detail: { items: cachedItems, cached: true }
+      }));
+    }
+
+    if (this.settings.menuItemsJson.length || this.settings.menuItemsLoaded) {
 
       // get HTML templates
-      this.settings.menuWrapTemplate =
-        document.querySelector(`.${this.settings.templatePartsClass}[data-type="menuWrap"]`)?.innerHTML || '';
+      this.settings.menuWrapTemplate = this.getTemplate('menuWrap');
+      this.settings.menuItemTemplate = this.getTemplate('menuItem');
+      this.settings.subMenuWrapTemplate = this.getTemplate('subMenuWrap');
 
-      this.settings.menuItemTemplate =
-        document.querySelector(`.${this.settings.templatePartsClass}[data-type="menuItem"]`)?.innerHTML || '';
+      if (this.settings.search) {
+        this.settings.searchResultsWrapTemplate = this.getTemplate('searchResultsWrap');
+        this.settings.searchResultItemTemplate = this.getTemplate('searchResultItem');
+      }
 
-      this.settings.subMenuWrapTemplate =
-        document.querySelector(`.${this.settings.templatePartsClass}[data-type="subMenuWrap"]`)?.innerHTML || '';
+      const missingTemplates = ['menuWrap', 'menuItem', 'subMenuWrap']
+        .filter(type => !this.settings[`${type}Template`]);
 
-      if (
-        this.settings.menuWrapTemplate &&
-        this.settings.menuItemTemplate &&
-        this.settings.subMenuWrapTemplate
-      ) {
+      if (!missingTemplates.length) {
+        this.settings.menuItemsIndex.clear();
+        this.indexMenuItems(this.settings.menuItemsJson);
         this.settings.$menu.innerHTML =
           this.buildHtml(this.settings.menuItemsJson);
+      } else {
+        console.warn(
+          `Slide menu templates missing: ${missingTemplates.join(', ')}. ` +
+          'Menu items are not rendered. Add the templates to the page, pass them via the "templates" option ' +
+          'or enable "defaultTemplates".'
+        );
       }
     }
 
@@ -176,6 +401,22 @@ class Madj2kSlideMenu {
     this.settings.$menuWrap =
       this.settings.$menu.querySelector(`.${this.settings.menuWrapClass}`);
 
+    this.cacheCards();
+
+    this.applyStyles(this.settings.$menuWrap, this.settings.transition.menu.hidden);
+    this.initBreadcrumb();
+    this.settings.isLoaded = true;
+    this.bindEvents();
+
+    return true;
+  }
+
+  /**
+   * Caches all cards and the cards of the active path. The first card is always part of the active path.
+   *
+   * @return {void} This method does not return a value.
+   */
+  cacheCards() {
     this.settings.$cards =
       Array.from(this.settings.$menu.querySelectorAll(`.${this.settings.menuCardClass}`));
 
@@ -187,190 +428,642 @@ class Madj2kSlideMenu {
       this.settings.$menu.querySelectorAll(
         `.${this.settings.menuCardClass}.${this.settings.activeStatusClass}`
       );
+  }
 
-    this.settings.$menuWrap.style.top = `-100%`;
-    this.settings.isLoaded = true;
-    this.bindEvents();
+  /**
+   * Replaces the menu items. If the menu has already been rendered, it is rendered again and all events are rebound.
+   * The open card is kept open if it still exists - otherwise its nearest existing parent card or the first card is opened.
+   * Dispatches `madj2k-slidemenu-updated` when done.
+   *
+   * @param {Array<Object>} items - The new menu items in the format of `menuItemsJson`.
+   * @return {Promise<boolean>} Resolves with `true` when the menu has been updated.
+   */
+  setItems(items) {
+    this.settings.menuItemsJson = items || [];
+    this.settings.menuItemsLoaded = true;
 
-    return true;
+    if (!this.settings.isLoaded) {
+      return Promise.resolve(true);
+    }
+
+    return this.queueNavigation(() => {
+      this.closeSearch(false);
+      const state = this.getRenderState();
+
+      this.unbindEvents();
+      this.settings.isLoaded = false;
+      this.loadMenu();
+
+      if (this.isOpen()) {
+        this.applyStyles(this.settings.$menuWrap, this.settings.transition.menu.visible);
+      }
+
+      return this.restoreRenderState(state, null);
+    });
   }
 
   /**
-   * Binds various event listeners to elements and the window for handling user interaction and responsiveness.
+   * Updates the menu item with the given uid and renders the card containing it again.
+   * The patch is merged into the menu item, `data` is merged into the existing data.
+   * Items of the first level cause the whole menu to be rendered again (see setItems()).
+   * Dispatches `madj2k-slidemenu-updated` when done.
    *
-   * @return {void} This method does not return a value.
+   * @param {string|number} uid - The uid of the menu item.
+   * @param {Object} patch - The properties to change, e.g. `{ title: 'New title', data: { title: 'New title' } }`.
+   * @return {Promise<boolean>} Resolves with `true` when the item has been updated, or `false` if it does not exist.
    */
-  bindEvents() {
+  updateItem(uid, patch = {}) {
+    const entry = this.settings.menuItemsIndex.get(String(uid)) || this.findMenuItemEntry(uid);
+    if (!entry) {
+      return Promise.resolve(false);
+    }
 
-    this.settings.$menu
-      .querySelectorAll(`.${this.settings.lastCardToggleClass}`)
-      .forEach(el => el.addEventListener('click', this.previousCardEvent));
+    const { data, ...properties } = patch;
+    Object.assign(entry.item, properties);
+    if (data) {
+      entry.item.data = Object.assign({}, entry.item.data, data);
+    }
 
-    this.settings.$menu
-      .querySelectorAll(`.${this.settings.nextCardToggleClass}`)
-      .forEach(el => {
-        el.addEventListener('click', this.nextCardEvent);
-        el.addEventListener('keydown', this.keyboardEvent);
-      });
+    if (!this.settings.isLoaded) {
+      return Promise.resolve(true);
+    }
 
-    this.settings.$menu
-      .querySelectorAll('a,button,input,textarea,select')
-      .forEach(el => el.addEventListener('keydown', this.keyboardEvent));
+    if (!entry.parentItem) {
+      return this.setItems(this.settings.menuItemsJson);
+    }
 
-    window.addEventListener('resize', this.resizeCardsEvent);
-    window.addEventListener('resize', this.positionMenuEvent);
+    return this.queueNavigation(() => {
+      this.closeSearch(false);
+      const state = this.getRenderState();
+
+      this.settings.menuItemsIndex.clear();
+      this.indexMenuItems(this.settings.menuItemsJson);
+
+      const parentEntry = this.settings.menuItemsIndex.get(String(entry.parentItem.data.uid));
+      const card = this.getCardByUid(entry.parentItem.data.uid);
+
+      // with lazyRender the card may not have been rendered yet
+      if (card && parentEntry) {
+        const template = document.createElement('template');
+        template.innerHTML = this.buildHtml(parentEntry.item.children || [], parentEntry.item, parentEntry.level + 1);
+
+        const newCard = template.content.querySelector(`[id="${this.escapeSelector(card.id)}"]`);
+        if (newCard) {
+          this.unbindCardEvents(card);
+          card.replaceWith(newCard);
+          this.bindCardEvents(newCard);
+        }
+      }
+
+      this.cacheCards();
+      return this.restoreRenderState(state, uid);
+    });
   }
 
   /**
-   * Toggles the state of an event based on the current condition.
+   * Returns the entry of the menu items index for the given uid, without using the index.
+   * Used before the menu items have been indexed on load.
    *
-   * @param {Event} e - The event object that triggers the toggle action.
-   * @return {void} This method does not return a value.
+   * @param {string|number} uid - The uid of the menu item.
+   * @param {Array<Object>} [items] - The items to search in.
+   * @param {Object|null} [parentItem=null] - The parent item of the items.
+   * @param {number} [level=0] - The level of the items.
+   * @return {Object|null} The entry with `item`, `parentItem` and `level`, or `null`.
    */
-  toggleEvent(e) {
-    e.preventDefault();
-    if (!this.open()) {
-      this.close();
+  findMenuItemEntry(uid, items = this.settings.menuItemsJson, parentItem = null, level = 0) {
+    for (const item of items) {
+      if (String(item.data.uid) === String(uid)) {
+        return { item, parentItem, level };
+      }
+
+      const entry = item.children?.length ? this.findMenuItemEntry(uid, item.children, item, level + 1) : null;
+      if (entry) {
+        return entry;
+      }
     }
+
+    return null;
   }
 
   /**
-   * Handles the close event by preventing the default behavior
-   * and invoking the close method.
+   * Returns the uids of the open card, its parent cards and the requested start card before the menu is rendered again.
    *
-   * @param {Event} e - The event object associated with the close action.
-   * @return {void} This method does not return any value.
+   * @return {{openUid: string|null, pathUids: Array<string>, startUid: string|null, hasFocus: boolean}} The state to restore.
    */
-  closeEvent (e) {
-    e.preventDefault();
-    this.close();
+  getRenderState() {
+    return {
+      openUid: this.getUidFromCardId(this.settings.$openCard?.id),
+      pathUids: this.getCardPath(this.settings.$openCard).map(card => this.getUidFromCardId(card.id)),
+      startUid: this.getUidFromCardId(this.settings.$startCard?.id),
+      hasFocus: this.settings.$menu.contains(document.activeElement)
+    };
   }
 
   /**
-   * Opens the menu and performs various operations to adjust state, animations, and accessibility.
-   * Includes triggering events, toggling classes, repositioning, and handling ARIA attributes.
+   * Restores the open card after the menu has been rendered again and re-applies the positions,
+   * tabindex and ARIA state. If the open card no longer exists, its nearest existing parent card
+   * (based on the previous path) or the first card is opened.
    *
-   * @return {boolean} Returns `true` if the menu was opened successfully. Returns `false` if the menu was already open, an animation was in progress, or if menu initialization failed.
+   * @param {{openUid: string|null, pathUids: Array<string>, startUid: string|null, hasFocus: boolean}} state - The state returned by getRenderState().
+   * @param {string|number|null} uid - The uid of the updated menu item, or `null` if all items have been replaced.
+   * @return {Promise<boolean>} Resolves with `true` when done.
    */
-  open() {
+  restoreRenderState(state, uid) {
+    return Promise.all([
+      state.openUid ? this.loadCardPath(state.openUid) : null,
+      state.startUid ? this.loadCardPath(state.startUid) : null
+    ]).then(([openCard, startCard]) => {
+      this.settings.$startCard = startCard;
+
+      if (!this.isOpen()) {
+        this.settings.$openCard = null;
+      } else {
+        openCard = openCard ||
+          state.pathUids.reverse().map(pathUid => this.getCardByUid(pathUid)).find(card => card) ||
+          this.settings.$cards[0];
+
+        this.setOpenCard(openCard);
+        this.resizeCards();
+        this.repositionCards();
+        this.toggleTabIndexOnOpenCard();
+        this.toggleWaiAriaForOpenCard();
+
+        if (state.hasFocus) {
+          this.focusFirstItemOfOpenCard();
+        }
+      }
 
-    if (
-      !this.loadMenu() ||
-      this.settings.$menu.classList.contains(this.settings.openStatusClass) ||
-      this.settings.$menu.classList.contains(this.settings.animationOpenStatusClass)
-    ) {
-      return false;
+      document.dispatchEvent(new CustomEvent('madj2k-slidemenu-updated', {
+        detail: { uid: uid }
+      }));
+
+      return true;
+    });
+  }
+
+  /**
+   * Fetches the menu items from `menuItemsUrl` asynchronously.
+   * While loading, the loading status class is set on the menu and the toggle. On success the items are
+   * cached in the sessionStorage, the menu is built and opened if an open was requested in the meantime.
+   *
+   * @return {Promise<boolean>} Resolves with `true` if the menu items were loaded, otherwise with `false`.
+   */
+  loadMenuItems() {
+
+    if (this.settings.isLoading) {
+      return this.settings.loadingPromise;
     }
 
-    document.dispatchEvent(new Event('madj2k-flyoutmenu-close'));
-    document.dispatchEvent(new Event('madj2k-slidemenu-opening'));
+    if (this.settings.isDestroyed) {
+      return Promise.resolve(false);
+    }
 
-    this.toggleNoScroll();
-    this.disableTabIndexOnAllCards();
-    this.positionMenu();
+    const fetchFunction = typeof this.settings.fetchFunction === 'function'
+      ? this.settings.fetchFunction
+      : this.fetchMenuItems.bind(this);
 
-    this.settings.$menu.classList.add(
-      this.settings.openStatusClass,
-      this.settings.animationOpenStatusClass
-    );
+    this.settings.isLoading = true;
+    this.settings.$menu.classList.add(this.settings.loadingStatusClass);
+    this.settings.$menu.setAttribute('aria-busy', 'true');
+    this.$element.classList.add(this.settings.loadingStatusClass);
 
-    this.$element.classList.add(
-      this.settings.openStatusClass,
-      this.settings.animationOpenStatusClass
-    );
+    this.settings.loadingPromise = Promise.resolve()
+      .then(() => fetchFunction(this.settings.menuItemsUrl, this))
+      .then(items => {
+        if (this.settings.isDestroyed) {
+          return false;
+        }
 
-    this.$element.setAttribute('aria-expanded', 'true');
+        if (!Array.isArray(items)) {
+          throw new TypeError('Menu items loaded from "' + this.settings.menuItemsUrl + '" are not an array.');
+        }
 
-    let openCard = this.settings.$activeCards[
-      this.settings.startOnHome ? 0 : this.settings.$activeCards.length - 1
-      ];
+        // an empty list is a valid result, too - it must not trigger another request
+        this.settings.menuItemsJson = items;
+        this.settings.menuItemsLoaded = true;
+        this.setCachedMenuItems(items);
+        this.finishLoadingMenuItems();
 
-    this.setOpenCard(openCard);
-    this.resizeCards();
-    this.repositionCards();
+        document.dispatchEvent(new CustomEvent('madj2k-slidemenu-loaded', {
+          detail: { items: items, cached: false }
+        }));
 
-    this.animateElement(
-      this.settings.$menuWrap,
-      { top: '-100%' },
-      { top: '0' }
-    );
+        const openOnLoad = this.settings.openOnLoad;
+        this.settings.openOnLoad = false;
 
-    setTimeout(() => {
-      this.settings.$menu.classList.remove(this.settings.animationOpenStatusClass);
-      this.$element.classList.remove(this.settings.animationOpenStatusClass);
+        this.loadMenu();
+        if (openOnLoad) {
+          this.open();
+        }
 
-      this.toggleTabIndexOnOpenCard();
-      this.toggleWaiAriaForOpenCard();
-      this.focusFirstItemOfOpenCard();
+        return true;
+      })
+      .catch(error => {
+        if (this.settings.isDestroyed) {
+          return false;
+        }
 
-      document.dispatchEvent(new Event('madj2k-slidemenu-opened'));
-    }, this.settings.animationDuration);
+        this.settings.openOnLoad = false;
+        this.finishLoadingMenuItems();
 
-    return true;
-  }
+        console.warn('Could not load menu items.', error);
+        document.dispatchEvent(new CustomEvent('madj2k-slidemenu-load-error', {
+          detail: { error: error, url: this.settings.menuItemsUrl }
+        }));
+
+        return false;
+      });
 
+    return this.settings.loadingPromise;
+  }
 
   /**
-   * Closes the menu if it is currently open and not already in the process of closing.
-   * Dispatches events to notify when the menu starts closing (`madj2k-slidemenu-closing`)
-   * and when the menu has fully closed (`madj2k-slidemenu-closed`).
-   * Handles animations, updates ARIA attributes, and manages other related DOM properties.
+   * Removes the loading state from the menu and the toggle element.
    *
-   * @return {boolean} Returns `true` if the menu was successfully closed, or `false` if
-   * the menu was not in an open or closable state.
+   * @return {void} This method does not return a value.
    */
-  close() {
-
-    if (
-      !this.settings.$menu.classList.contains(this.settings.openStatusClass) ||
-      this.settings.$menu.classList.contains(this.settings.animationCloseStatusClass)
-    ) {
-      return false;
-    }
-
-    document.dispatchEvent(new Event('madj2k-slidemenu-closing'));
+  finishLoadingMenuItems() {
+    this.settings.isLoading = false;
+    this.settings.loadingPromise = null;
+    this.settings.$menu.classList.remove(this.settings.loadingStatusClass);
+    this.settings.$menu.removeAttribute('aria-busy');
+    this.$element.classList.remove(this.settings.loadingStatusClass);
+  }
 
-    this.settings.$menu.classList.add(this.settings.animationCloseStatusClass);
-    this.$element.classList.add(this.settings.animationCloseStatusClass);
-    this.$element.classList.remove(this.settings.openStatusClass);
-    this.$element.setAttribute('aria-expanded', 'false');
+  /**
+   * Default fetch function used to load the menu items.
+   * Can be replaced via the `fetchFunction` option, e.g. to add headers or to transform the response.
+   *
+   * @param {string} url - The URL of the JSON endpoint.
+   * @return {Promise<Array>} Resolves with the parsed menu items.
+   */
+  fetchMenuItems(url) {
+    return fetch(url, {
+      credentials: 'same-origin',
+      headers: { 'Accept': 'application/json' }
+    }).then(response => {
+      if (!response.ok) {
+        throw new Error('Request to "' + url + '" failed with status ' + response.status + '.');
+      }
+      return response.json();
+    });
+  }
 
-    this.toggleTabIndexOnOpenCard();
-    this.toggleWaiAriaForOpenCard();
+  /**
+   * Returns the key used to cache the menu items in the sessionStorage.
+   *
+   * @return {string} The cache key.
+   */
+  getMenuItemsCacheKey() {
+    return this.settings.menuItemsCacheKey || `madj2k-slidemenu-${this.settings.menuItemsUrl}`;
+  }
 
-    this.animateElement(
-      this.settings.$menuWrap,
-      { top: '0' },
-      { top: '-100%' }
-    );
+  /**
+   * Returns the cached menu items from the sessionStorage, if caching is enabled and an entry exists.
+   * Entries of another `menuItemsCacheVersion` or older than `menuItemsCacheLifetime` are removed.
+   *
+   * @return {Array|null} The cached menu items or `null` if nothing usable is cached.
+   */
+  getCachedMenuItems() {
+    if (!this.settings.menuItemsCache) {
+      return null;
+    }
 
-    setTimeout(() => {
-      this.settings.$menu.classList.remove(
-        this.settings.openStatusClass,
-        this.settings.animationCloseStatusClass
-      );
+    try {
+      const key = this.getMenuItemsCacheKey();
+      const entry = JSON.parse(window.sessionStorage.getItem(key));
 
-      this.$element.classList.remove(this.settings.animationCloseStatusClass);
+      if (!entry || !Array.isArray(entry.items)) {
+        return null;
+      }
 
-      this.toggleNoScroll();
-      document.dispatchEvent(new Event('madj2k-slidemenu-closed'));
-    }, this.settings.animationDuration);
+      if (
+        entry.version !== String(this.settings.menuItemsCacheVersion) ||
+        (this.settings.menuItemsCacheLifetime > 0 &&
+          Date.now() - (entry.time || 0) > this.settings.menuItemsCacheLifetime * 1000)
+      ) {
+        window.sessionStorage.removeItem(key);
+        return null;
+      }
 
-    return true;
+      return entry.items;
+    } catch (error) {
+      return null;
+    }
   }
 
-
   /**
-   * Handles keyboard events triggered on an element.
+   * Stores the given menu items in the sessionStorage, if caching is enabled.
+   * Errors (e.g. storage disabled or quota exceeded) are ignored, since caching is optional.
    *
-   * @param {KeyboardEvent} e - The keyboard event object containing details of the interaction.
-   * @return {void} No return value.
+   * @param {Array} items - The menu items to cache.
+   * @return {void} This method does not return a value.
    */
-  keyboardEvent(e) {
-
-    const element = e.target;
+  setCachedMenuItems(items) {
+    if (!this.settings.menuItemsCache) {
+      return;
+    }
 
-    switch (e.key) {
+    try {
+      window.sessionStorage.setItem(this.getMenuItemsCacheKey(), JSON.stringify({
+        version: String(this.settings.menuItemsCacheVersion),
+        time: Date.now(),
+        items: items
+      }));
+    } catch (error) {
+      // caching is optional
+    }
+  }
+
+  /**
+   * Binds various event listeners to elements and the window for handling user interaction and responsiveness.
+   *
+   * @return {void} This method does not return a value.
+   */
+  bindEvents() {
+    this.bindCardEvents(this.settings.$menu);
+    this.bindSearchEvents();
+
+    if (this.settings.swipe && this.settings.$menuWrap) {
+      this.settings.$menuWrap.addEventListener('touchstart', this.touchStartEvent, { passive: true });
+      this.settings.$menuWrap.addEventListener('touchmove', this.touchMoveEvent, { passive: false });
+      this.settings.$menuWrap.addEventListener('touchend', this.touchEndEvent);
+      this.settings.$menuWrap.addEventListener('touchcancel', this.touchEndEvent);
+    }
+
+    window.addEventListener('resize', this.resizeCardsEvent);
+    window.addEventListener('resize', this.positionMenuEvent);
+
+    if (this.settings.columnsMediaQuery) {
+      this.settings.columnsMediaQuery.addEventListener('change', this.columnsEvent);
+      this.settings.$menu.classList.toggle(this.settings.columnsStatusClass, this.isColumnMode());
+    }
+  }
+
+  /**
+   * Switches between the column layout and the stacked layout when the breakpoint is crossed.
+   * The cards are only repositioned, not rendered again.
+   *
+   * @return {void} This method does not return a value.
+   */
+  columnsEvent() {
+    this.settings.$menu.classList.toggle(this.settings.columnsStatusClass, this.isColumnMode());
+
+    // remove the visibility set for the column layout
+    this.settings.$cards.forEach(card => card.style.visibility = '');
+
+    if (!this.settings.$openCard) return;
+
+    this.resizeCards();
+    this.repositionCards();
+    this.toggleTabIndexOnOpenCard();
+  }
+
+  /**
+   * Checks whether the cards are shown as columns side by side,
+   * i.e. `columns` is set and the viewport is at least `columnsBreakpoint` wide.
+   *
+   * @return {boolean} Returns `true` in the column layout.
+   */
+  isColumnMode() {
+    return !!this.settings.columnsMediaQuery?.matches;
+  }
+
+  /**
+   * Removes the event listeners added by bindEvents(), including those of the cards,
+   * the search field and the breadcrumb.
+   *
+   * @return {void} This method does not return a value.
+   */
+  unbindEvents() {
+    window.removeEventListener('resize', this.resizeCardsEvent);
+    window.removeEventListener('resize', this.positionMenuEvent);
+    this.settings.columnsMediaQuery?.removeEventListener('change', this.columnsEvent);
+
+    this.settings.$searchInput?.removeEventListener('input', this.searchInputEvent);
+    this.settings.$breadcrumb?.removeEventListener('click', this.breadcrumbEvent);
+    this.settings.$breadcrumb?.removeEventListener('keydown', this.keyboardEvent);
+
+    if (this.settings.$menuWrap) {
+      this.settings.$menuWrap.removeEventListener('touchstart', this.touchStartEvent, { passive: true });
+      this.settings.$menuWrap.removeEventListener('touchmove', this.touchMoveEvent, { passive: false });
+      this.settings.$menuWrap.removeEventListener('touchend', this.touchEndEvent);
+      this.settings.$menuWrap.removeEventListener('touchcancel', this.touchEndEvent);
+    }
+
+    if (this.settings.$menu) {
+      this.unbindCardEvents(this.settings.$menu);
+    }
+  }
+
+  /**
+   * Binds the card navigation and keyboard listeners to all matching elements inside the given container.
+   * Used for the whole menu on load and for cards that are rendered later on.
+   *
+   * @param {HTMLElement} $container - The element to search for toggles and focusable elements.
+   * @return {void} This method does not return a value.
+   */
+  bindCardEvents($container) {
+
+    $container
+      .querySelectorAll(`.${this.settings.lastCardToggleClass}`)
+      .forEach(el => el.addEventListener('click', this.previousCardEvent));
+
+    $container
+      .querySelectorAll(`.${this.settings.nextCardToggleClass}`)
+      .forEach(el => {
+        el.addEventListener('click', this.nextCardEvent);
+        el.addEventListener('keydown', this.keyboardEvent);
+      });
+
+    $container
+      .querySelectorAll('a,button,input,textarea,select')
+      .forEach(el => el.addEventListener('keydown', this.keyboardEvent));
+  }
+
+  /**
+   * Removes the card navigation and keyboard listeners from all matching elements inside the given container.
+   *
+   * @param {HTMLElement} $container - The element to search for toggles and focusable elements.
+   * @return {void} This method does not return a value.
+   */
+  unbindCardEvents($container) {
+
+    $container
+      .querySelectorAll(`.${this.settings.lastCardToggleClass}`)
+      .forEach(el => el.removeEventListener('click', this.previousCardEvent));
+
+    $container
+      .querySelectorAll(`.${this.settings.nextCardToggleClass}`)
+      .forEach(el => el.removeEventListener('click', this.nextCardEvent));
+
+    $container
+      .querySelectorAll('a,button,input,textarea,select')
+      .forEach(el => el.removeEventListener('keydown', this.keyboardEvent));
+  }
+
+  /**
+   * Toggles the state of an event based on the current condition.
+   *
+   * @param {Event} e - The event object that triggers the toggle action.
+   * @return {void} This method does not return a value.
+   */
+  toggleEvent(e) {
+    e.preventDefault();
+    if (!this.open()) {
+      this.close();
+    }
+  }
+
+  /**
+   * Handles the close event by preventing the default behavior
+   * and invoking the close method.
+   *
+   * @param {Event} e - The event object associated with the close action.
+   * @return {void} This method does not return any value.
+   */
+  closeEvent (e) {
+    e.preventDefault();
+    this.close();
+  }
+
+  /**
+   * Opens the menu and performs various operations to adjust state, animations, and accessibility.
+   * Includes triggering events, toggling classes, repositioning, and handling ARIA attributes.
+   *
+   * If the menu items are still being fetched, the menu is opened as soon as they are available.
+   *
+   * @return {boolean} Returns `true` if the menu was opened successfully or will be opened after loading. Returns `false` if the menu was already open, an animation was in progress, or if menu initialization failed.
+   */
+  open() {
+
+    if (!this.loadMenu()) {
+
+      // menu items are still loading - open as soon as they are available
+      if (this.settings.isLoading) {
+        this.settings.openOnLoad = true;
+        return true;
+      }
+
+      return false;
+    }
+
+    if (
+      this.settings.$menu.classList.contains(this.settings.openStatusClass) ||
+      this.settings.$menu.classList.contains(this.settings.animationOpenStatusClass)
+    ) {
+      return false;
+    }
+
+    document.dispatchEvent(new Event('madj2k-flyoutmenu-close'));
+    document.dispatchEvent(new Event('madj2k-slidemenu-opening'));
+
+    this.toggleNoScroll();
+    this.disableTabIndexOnAllCards();
+    this.positionMenu();
+
+    this.settings.$menu.classList.add(
+      this.settings.openStatusClass,
+      this.settings.animationOpenStatusClass
+    );
+
+    this.$element.classList.add(
+      this.settings.openStatusClass,
+      this.settings.animationOpenStatusClass
+    );
+
+    this.$element.setAttribute('aria-expanded', 'true');
+
+    this.setOpenCard(this.getStartCard());
+    this.resizeCards();
+    this.repositionCards();
+
+    this.animateElement(
+      this.settings.$menuWrap,
+      this.settings.transition.menu.hidden,
+      this.settings.transition.menu.visible
+    );
+
+    this.setAnimationTimeout(() => {
+      this.settings.$menu.classList.remove(this.settings.animationOpenStatusClass);
+      this.$element.classList.remove(this.settings.animationOpenStatusClass);
+
+      this.toggleTabIndexOnOpenCard();
+      this.toggleWaiAriaForOpenCard();
+      this.focusFirstItemOfOpenCard();
+
+      document.dispatchEvent(new Event('madj2k-slidemenu-opened'));
+    });
+
+    return true;
+  }
+
+
+  /**
+   * Closes the menu if it is currently open and not already in the process of closing.
+   * Dispatches events to notify when the menu starts closing (`madj2k-slidemenu-closing`)
+   * and when the menu has fully closed (`madj2k-slidemenu-closed`).
+   * Handles animations, updates ARIA attributes, and manages other related DOM properties.
+   *
+   * @return {boolean} Returns `true` if the menu was successfully closed, or `false` if
+   * the menu was not in an open or closable state.
+   */
+  close() {
+
+    if (
+      !this.settings.$menu.classList.contains(this.settings.openStatusClass) ||
+      this.settings.$menu.classList.contains(this.settings.animationCloseStatusClass)
+    ) {
+      return false;
+    }
+
+    document.dispatchEvent(new Event('madj2k-slidemenu-closing'));
+
+    this.settings.$menu.classList.add(this.settings.animationCloseStatusClass);
+    this.$element.classList.add(this.settings.animationCloseStatusClass);
+    this.$element.classList.remove(this.settings.openStatusClass);
+    this.$element.setAttribute('aria-expanded', 'false');
+
+    this.toggleTabIndexOnOpenCard();
+    this.toggleWaiAriaForOpenCard();
+
+    this.animateElement(
+      this.settings.$menuWrap,
+      this.settings.transition.menu.visible,
+      this.settings.transition.menu.hidden
+    );
+
+    this.setAnimationTimeout(() => {
+      this.settings.$menu.classList.remove(
+        this.settings.openStatusClass,
+        this.settings.animationCloseStatusClass
+      );
+
+      this.$element.classList.remove(this.settings.animationCloseStatusClass);
+
+      this.closeSearch(true);
+      this.toggleNoScroll();
+      document.dispatchEvent(new Event('madj2k-slidemenu-closed'));
+    });
+
+    return true;
+  }
+
+
+  /**
+   * Handles keyboard events triggered on an element.
+   *
+   * @param {KeyboardEvent} e - The keyboard event object containing details of the interaction.
+   * @return {void} No return value.
+   */
+  keyboardEvent(e) {
+
+    const element = e.target;
+
+    if (this.searchKeyboardEvent(e)) return;
+    if (this.cardKeyboardEvent(e)) return;
+
+    switch (e.key) {
 
       case 'ArrowUp':
         if (element === this.$element) this.close();
@@ -389,371 +1082,1904 @@ class Madj2kSlideMenu {
         this.focusToggle();
         break;
 
-      case 'Tab':
-        if (!this.settings.$openCard) break;
+      case 'Tab':
+        if (!this.settings.$openCard) break;
+
+        // in the column layout the parent cards are part of the focus trap
+        const trapCards = this.isColumnMode()
+          ? this.getCardPath(this.settings.$openCard)
+          : [this.settings.$openCard];
+
+        const focusables = trapCards.flatMap(card => Array.from(
+          card.querySelectorAll(
+            'a:not([tabindex="-1"]), button:not([tabindex="-1"]), input:not([tabindex="-1"]), textarea:not([tabindex="-1"]), select:not([tabindex="-1"])'
+          )
+        ).filter(el =>
+          el.closest(`.${this.settings.menuCardClass}`) === card
+        ));
+
+        // e.g. the search field and the breadcrumb are placed outside the cards
+        focusables.unshift(...this.getFocusablesOutsideCards());
+
+        if (!focusables.length) break;
+
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
+
+        break;
+    }
+  }
+
+  /**
+   * Handles the keyboard navigation between the items of a card, which are lists of links
+   * and disclosure buttons for the sub-cards:
+   * ArrowUp/ArrowDown move to the previous/next item, Home/End to the first/last item,
+   * ArrowRight opens the sub-card of an item with children (as Enter does natively),
+   * ArrowLeft goes back to the parent card and typing characters moves to the next item starting with them.
+   * Form fields (e.g. the search field) are not affected.
+   *
+   * @param {KeyboardEvent} e - The keydown event.
+   * @return {boolean} Returns `true` if the event was handled.
+   */
+  cardKeyboardEvent(e) {
+    const element = e.target;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) return false;
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+
+    const card = element.closest?.(`.${this.settings.menuCardClass}`);
+    if (!card || !this.isOpen()) return false;
+
+    const items = this.getCardItems(card);
+    const index = items.indexOf(element);
+    if (index === -1) return false;
+
+    switch (e.key) {
+
+      case 'ArrowDown':
+        e.preventDefault();
+        items[(index + 1) % items.length].focus();
+        return true;
+
+      case 'ArrowUp':
+        e.preventDefault();
+        items[(index - 1 + items.length) % items.length].focus();
+        return true;
+
+      case 'Home':
+        e.preventDefault();
+        items[0].focus();
+        return true;
+
+      case 'End':
+        e.preventDefault();
+        items[items.length - 1].focus();
+        return true;
+
+      case 'ArrowRight':
+        if (!element.classList.contains(this.settings.nextCardToggleClass)) return false;
+        e.preventDefault();
+        element.click();
+        return true;
+
+      case 'ArrowLeft': {
+        if (card !== this.settings.$openCard) return false;
+        e.preventDefault();
+
+        // return the focus to the item that opened the card
+        this.back().then(result => {
+          const toggle = result && this.settings.$openCard?.querySelector(
+            `.${this.settings.nextCardToggleClass}[aria-controls="${this.escapeSelector(card.id)}"]`
+          );
+          if (toggle) setTimeout(() => toggle.focus());
+        });
+        return true;
+      }
+    }
+
+    if (e.key.length === 1 && (e.key !== ' ' || this.settings.typeahead.query)) {
+      const match = this.findTypeaheadItem(items, index, e.key);
+      if (match) {
+        e.preventDefault();
+        match.focus();
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Returns the enabled interactive elements of the given card, without those of its sub-cards.
+   *
+   * @param {HTMLElement} card - The card.
+   * @return {Array<HTMLElement>} The interactive elements in document order.
+   */
+  getCardItems(card) {
+    return Array.from(card.querySelectorAll('a,button'))
+      .filter(el =>
+        el.closest(`.${this.settings.menuCardClass}`) === card &&
+        el.getAttribute('tabindex') !== '-1'
+      );
+  }
+
+  /**
+   * Adds the given character to the typeahead query and returns the next item after the current one
+   * whose text starts with the query. The query is reset after `typeaheadTimeout` milliseconds.
+   * Typing the same character repeatedly cycles through the items starting with it.
+   *
+   * @param {Array<HTMLElement>} items - The items of the card.
+   * @param {number} index - The index of the currently focused item.
+   * @param {string} character - The typed character.
+   * @return {HTMLElement|null} The matching item or `null`.
+   */
+  findTypeaheadItem(items, index, character) {
+    const typeahead = this.settings.typeahead;
+
+    clearTimeout(typeahead.timeout);
+    typeahead.query += character.toLowerCase();
+    typeahead.timeout = setTimeout(() => typeahead.query = '', this.settings.typeaheadTimeout);
+
+    const query = typeahead.query;
+    const isRepeated = query.length > 1 && query.split('').every(c => c === query[0]);
+    const search = isRepeated ? query[0] : query;
+
+    // with a single character, start with the next item - otherwise refine the current match
+    const start = search.length === 1 ? index + 1 : index;
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[(start + i) % items.length];
+      if (item.textContent.replace(/\u00AD/g, '').trim().toLowerCase().startsWith(search)) {
+        return item;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Handles the event to navigate to the previous card in a sliding menu.
+   *
+   * @param {Event} e The event object triggered by the user interaction.
+   * @return {void} This method does not return a value.
+   */
+  previousCardEvent(e) {
+    e.preventDefault();
+
+    const target = e.currentTarget;
+    const controlledCard = document.getElementById(target.getAttribute('aria-controls'));
+    const parentCard = document.getElementById(target.dataset.parentCard);
+
+    if (!controlledCard || !parentCard) return;
+
+    this.queueNavigation(() => this.openPreviousCard(controlledCard, parentCard));
+  }
+
+  /**
+   * Slides the given card out and makes its parent card the open card.
+   *
+   * @param {HTMLElement} controlledCard - The card to close.
+   * @param {HTMLElement} parentCard - The card to open instead.
+   * @param {number} [dragOffset=0] - The offset in pixels to start the animation from (e.g. the position after a swipe).
+   * @return {Promise<boolean>} Resolves with `true` when the animation has finished.
+   */
+  openPreviousCard(controlledCard, parentCard, dragOffset = 0) {
+    this.disableTabIndexOnAllCards();
+    controlledCard.classList.add(this.settings.animationCloseStatusClass);
+
+    this.animateCards(this.getCardPath(controlledCard), this.getCardPath(parentCard), dragOffset);
+
+    return this.waitForAnimation(() => {
+      this.changeOpenCard(parentCard);
+      this.repositionCards();
+      controlledCard.classList.remove(this.settings.animationCloseStatusClass);
+      document.dispatchEvent(new Event('madj2k-slidemenu-previous-opened'));
+      return true;
+    });
+  }
+
+
+  /**
+   * Triggers the animation and logic to open the next card in a slide menu.
+   * Handles disabling tab indices on all cards, animating the transition,
+   * and dispatching a custom event when the next card has fully opened.
+   * With `lazyRender` the card is rendered (and its children loaded) first if it does not exist yet.
+   *
+   * @param {Event} e The event object triggered by clicking or interacting with the navigation element.
+   * @return {void} This method does not return a value.
+   */
+  nextCardEvent(e) {
+    e.preventDefault();
+
+    const target = e.currentTarget;
+    const cardId = target.getAttribute('aria-controls');
+    const controlledCard = document.getElementById(cardId);
+
+    if (!controlledCard && this.settings.lazyRender) {
+      target.classList.add(this.settings.loadingStatusClass);
+      this.queueNavigation(() => this.loadCard(this.getUidFromCardId(cardId)).then(card => {
+        target.classList.remove(this.settings.loadingStatusClass);
+        return card ? this.openNextCard(card) : false;
+      }));
+      return;
+    }
+
+    if (!controlledCard) return;
+
+    this.queueNavigation(() => this.openNextCard(controlledCard));
+  }
+
+  /**
+   * Slides the given card in and makes it the open card.
+   *
+   * @param {HTMLElement} controlledCard - The card to open.
+   * @return {Promise<boolean>} Resolves with `true` when the animation has finished.
+   */
+  openNextCard(controlledCard) {
+    this.disableTabIndexOnAllCards();
+    controlledCard.classList.add(this.settings.animationOpenStatusClass);
+
+    // in the column layout the open card is not necessarily the parent card
+    const fromPath = this.settings.$openCard
+      ? this.getCardPath(this.settings.$openCard)
+      : this.getCardPath(this.getParentCard(controlledCard));
+
+    this.animateCards(fromPath, this.getCardPath(controlledCard));
+
+    return this.waitForAnimation(() => {
+      this.changeOpenCard(controlledCard);
+      this.repositionCards();
+      controlledCard.classList.remove(this.settings.animationOpenStatusClass);
+      document.dispatchEvent(new Event('madj2k-slidemenu-next-opened'));
+      return true;
+    });
+  }
+
+  /**
+   * Navigates to the card of the menu item with the given uid.
+   * If the menu is closed, it is opened directly at that card. Otherwise, the menu animates
+   * back to the common parent card and then forward through all intermediate cards.
+   * For items without children the card listing the item is opened.
+   *
+   * @param {string|number} uid - The uid of the menu item.
+   * @return {Promise<boolean>} Resolves with `true` when the card is open, or `false` if it does not exist.
+   */
+  goToCard(uid) {
+    return this.queueNavigation(() => this.loadCardPath(uid).then(card => this.navigateToCard(card)));
+  }
+
+  /**
+   * Navigates one level back to the parent card of the open card.
+   *
+   * @return {Promise<boolean>} Resolves with `true` when the parent card is open, or `false` if there is no parent card.
+   */
+  back() {
+    return this.queueNavigation(() => {
+
+      // leaving the search results counts as one level back
+      if (this.settings.$openCard && this.settings.$openCard === this.getCardByUid('search')) {
+        this.closeSearch(true);
+        return true;
+      }
+
+      const parentCard = this.getParentCard(this.settings.$openCard);
+      if (!this.isOpen() || !parentCard) {
+        return false;
+      }
+
+      return this.openPreviousCard(this.settings.$openCard, parentCard);
+    });
+  }
+
+  /**
+   * Navigates back to the first level of the menu.
+   *
+   * @return {Promise<boolean>} Resolves with `true` when the first card is open.
+   */
+  home() {
+    return this.queueNavigation(() => this.ensureMenuLoaded().then(loaded =>
+      this.navigateToCard(loaded ? this.settings.$cards[0] : null)
+    ));
+  }
+
+  /**
+   * Returns the uids of all cards from the first level down to the open card.
+   *
+   * @return {Array<string>} The uids of the open card and its parent cards, starting with the first level.
+   */
+  getPath() {
+    return this.getCardPath(this.settings.$openCard)
+      .map(card => this.getUidFromCardId(card.id));
+  }
+
+  /**
+   * Returns whether the menu is currently open.
+   *
+   * @return {boolean} `true` if the menu is open.
+   */
+  isOpen() {
+    return !!this.settings.$menu?.classList.contains(this.settings.openStatusClass);
+  }
+
+  /**
+   * Queues the given navigation step, so that programmatic navigations and navigations by the user
+   * are executed one after another. Steps queued before `destroy()` resolve with `false`.
+   * The returned promise never rejects: errors of the step are logged and resolve with `false`.
+   *
+   * @param {Function} callback - Function returning a boolean or a Promise resolving with a boolean.
+   * @return {Promise<boolean>} Resolves with the result of the callback.
+   */
+  queueNavigation(callback) {
+    const navigation = this.settings.navigationQueue
+      .then(() => this.settings.isDestroyed ? false : callback())
+      .catch(error => {
+        console.warn('Slide menu navigation failed.', error);
+        return false;
+      });
+
+    this.settings.navigationQueue = navigation;
+    return navigation;
+  }
+
+  /**
+   * Loads the menu, waiting for the menu items if they have to be fetched first.
+   *
+   * @return {Promise<boolean>} Resolves with `true` if the menu is loaded.
+   */
+  ensureMenuLoaded() {
+    if (this.loadMenu()) {
+      return Promise.resolve(true);
+    }
+
+    if (this.settings.isLoading) {
+      return this.settings.loadingPromise.then(loaded => loaded && this.loadMenu());
+    }
+
+    return Promise.resolve(false);
+  }
+
+  /**
+   * Opens the given card, either by opening the menu directly at that card or by animating
+   * from the open card through all intermediate cards.
+   *
+   * @param {HTMLElement|null} card - The card to navigate to.
+   * @param {boolean} [direct=false] - Animates straight to the card in a single transition instead (see slideToCard()).
+   * @return {Promise<boolean>} Resolves with `true` when the card is open.
+   */
+  navigateToCard(card, direct = false) {
+    if (!card) {
+      return Promise.resolve(false);
+    }
+
+    this.closeSearch(true);
+
+    if (!this.isOpen()) {
+      this.settings.$startCard = card;
+
+      // open() may only defer the opening while the menu items are loading
+      if (!this.open() || !this.isOpen()) {
+        this.settings.$startCard = null;
+        this.settings.openOnLoad = false;
+        return Promise.resolve(false);
+      }
+
+      return this.waitForAnimation(() => this.settings.$openCard === card);
+    }
+
+    if (direct) {
+      return card === this.settings.$openCard ? Promise.resolve(true) : this.slideToCard(card);
+    }
+
+    const currentPath = this.getCardPath(this.settings.$openCard);
+    const targetPath = this.getCardPath(card);
+
+    let common = 0;
+    while (
+      common < currentPath.length &&
+      common < targetPath.length &&
+      currentPath[common] === targetPath[common]
+    ) {
+      common++;
+    }
+
+    let navigation = Promise.resolve(true);
+    currentPath.slice(common).reverse().forEach(closingCard => {
+      navigation = navigation.then(() => this.openPreviousCard(closingCard, this.getParentCard(closingCard)));
+    });
+    targetPath.slice(common).forEach(openingCard => {
+      navigation = navigation.then(() => this.openNextCard(openingCard));
+    });
+
+    return navigation;
+  }
+
+  /**
+   * Animates directly from the open card to the given card in a single transition,
+   * regardless of how many levels lie between them, and makes it the open card.
+   * Dispatches `madj2k-slidemenu-previous-opened` if the given card is a parent card of the open card,
+   * otherwise `madj2k-slidemenu-next-opened`.
+   *
+   * @param {HTMLElement} card - The card to open.
+   * @return {Promise<boolean>} Resolves with `true` when the animation has finished.
+   */
+  slideToCard(card) {
+    const openCard = this.settings.$openCard;
+    const currentPath = this.getCardPath(openCard);
+    const targetPath = this.getCardPath(card);
+    const isBack = currentPath.includes(card);
+
+    this.disableTabIndexOnAllCards();
+    if (!isBack) {
+      card.classList.add(this.settings.animationOpenStatusClass);
+    }
+    if (!targetPath.includes(openCard)) {
+      openCard.classList.add(this.settings.animationCloseStatusClass);
+    }
+
+    this.animateCards(currentPath, targetPath);
+
+    return this.waitForAnimation(() => {
+      this.changeOpenCard(card);
+      this.repositionCards();
+      card.classList.remove(this.settings.animationOpenStatusClass);
+      openCard.classList.remove(this.settings.animationCloseStatusClass);
+      document.dispatchEvent(new Event(isBack ? 'madj2k-slidemenu-previous-opened' : 'madj2k-slidemenu-next-opened'));
+      return true;
+    });
+  }
+
+  /**
+   * Loads the menu and renders all cards from the first level down to the card of the given uid.
+   * For items without children the card of the parent item is returned.
+   *
+   * @param {string|number} uid - The uid of the menu item.
+   * @return {Promise<HTMLElement|null>} Resolves with the card or `null` if it does not exist.
+   */
+  loadCardPath(uid) {
+    return this.ensureMenuLoaded().then(loaded => {
+      if (!loaded) {
+        return null;
+      }
+
+      const uids = [];
+      let entry = this.settings.menuItemsIndex.get(String(uid));
+
+      if (entry && !entry.item.hasSubpages) {
+        uid = entry.parentItem ? entry.parentItem.data.uid : entry.item.data.pid;
+        entry = this.settings.menuItemsIndex.get(String(uid));
+      }
+
+      while (entry) {
+        uids.unshift(entry.item.data.uid);
+        entry = entry.parentItem
+          ? this.settings.menuItemsIndex.get(String(entry.parentItem.data.uid))
+          : null;
+      }
+
+      let navigation = Promise.resolve(null);
+      uids.forEach(pathUid => {
+        navigation = navigation.then(() => this.loadCard(pathUid));
+      });
+
+      return navigation.then(() => this.getCardByUid(uid));
+    });
+  }
+
+  /**
+   * Returns the parent card of the given card, based on the nesting of the cards.
+   *
+   * @param {HTMLElement|null} card - The card to get the parent of.
+   * @return {HTMLElement|null} The parent card or `null` for the first level.
+   */
+  getParentCard(card) {
+    return card?.parentElement?.closest(`.${this.settings.menuCardClass}`) || null;
+  }
+
+  /**
+   * Returns the given card together with all its parent cards, starting with the first level.
+   *
+   * @param {HTMLElement|null} card - The card to get the path for.
+   * @return {Array<HTMLElement>} The cards from the first level down to the given card.
+   */
+  getCardPath(card) {
+    const path = [];
+    while (card) {
+      path.unshift(card);
+      card = this.getParentCard(card);
+    }
+    return path;
+  }
+
+  /**
+   * Returns the card to open when the menu is opened.
+   * This is the card requested via `goToCard()`, the card remembered from the last page (with `rememberOpenCard`)
+   * or - depending on `startOnHome` - the first or the deepest active card.
+   *
+   * @return {HTMLElement} The card to open.
+   */
+  getStartCard() {
+    if (this.settings.$startCard) {
+      const card = this.settings.$startCard;
+      this.settings.$startCard = null;
+      return card;
+    }
+
+    const rememberedCard = this.getRememberedCard();
+    if (rememberedCard) {
+      return rememberedCard;
+    }
+
+    return this.settings.$activeCards[
+      this.settings.startOnHome ? 0 : this.settings.$activeCards.length - 1
+    ];
+  }
+
+  /**
+   * Starts tracking a touch gesture on the open card.
+   *
+   * @param {TouchEvent} e - The touchstart event.
+   * @return {void} This method does not return a value.
+   */
+  touchStartEvent(e) {
+    const card = this.settings.$openCard;
+
+    if (
+      e.touches.length !== 1 ||
+      !card ||
+      !this.isOpen() ||
+      this.settings.$menu.classList.contains(this.settings.animationOpenStatusClass) ||
+      card.classList.contains(this.settings.animationOpenStatusClass) ||
+      card.classList.contains(this.settings.animationCloseStatusClass)
+    ) {
+      this.settings.swipeState = null;
+      return;
+    }
+
+    this.settings.swipeState = {
+      startX: e.touches[0].clientX,
+      startY: e.touches[0].clientY,
+      deltaX: 0,
+      deltaY: 0,
+      direction: null,
+      card: card,
+      cardPath: this.getCardPath(card),
+      parentCard: this.getParentCard(card),
+      isScrolledToTop: this.isScrolledToTop(e.target, card)
+    };
+  }
+
+  /**
+   * Drags the open card with the finger on a horizontal right-swipe, as long as there is a parent card to go back to.
+   *
+   * @param {TouchEvent} e - The touchmove event.
+   * @return {void} This method does not return a value.
+   */
+  touchMoveEvent(e) {
+    const state = this.settings.swipeState;
+    if (!state) return;
+
+    state.deltaX = e.touches[0].clientX - state.startX;
+    state.deltaY = e.touches[0].clientY - state.startY;
+
+    // decide on the direction once the finger has moved a bit
+    if (!state.direction) {
+      if (Math.max(Math.abs(state.deltaX), Math.abs(state.deltaY)) < 10) return;
+      state.direction = Math.abs(state.deltaX) > Math.abs(state.deltaY) ? 'horizontal' : 'vertical';
+
+      if (state.direction === 'horizontal' && state.parentCard) {
+        state.card.style.transition = 'none';
+        state.card.classList.add(this.settings.animationCloseStatusClass);
+      }
+    }
+
+    if (state.direction === 'horizontal' && state.parentCard) {
+      e.preventDefault();
+      this.applyStyles(state.card, this.getCardStyle(state.card, state.cardPath, Math.max(0, state.deltaX)));
+    }
+  }
+
+  /**
+   * Finishes a touch gesture: commits the back navigation if the card was dragged past `swipeThreshold`
+   * and snaps it back otherwise. A swipe down on a card scrolled to the top closes the menu if `swipeDownToClose` is set.
+   *
+   * @param {TouchEvent} e - The touchend or touchcancel event.
+   * @return {void} This method does not return a value.
+   */
+  touchEndEvent(e) {
+    const state = this.settings.swipeState;
+    this.settings.swipeState = null;
+    if (!state) return;
+
+    if (state.direction === 'horizontal' && state.parentCard) {
+      const deltaX = Math.max(0, state.deltaX);
+      const width = state.card.offsetWidth || window.innerWidth;
+
+      if (e.type === 'touchend' && deltaX >= width * this.settings.swipeThreshold) {
+        this.queueNavigation(() => this.openPreviousCard(state.card, state.parentCard, deltaX));
+        return;
+      }
+
+      this.animateElement(
+        state.card,
+        this.getCardStyle(state.card, state.cardPath, deltaX),
+        this.getCardStyle(state.card, state.cardPath)
+      );
+
+      this.setAnimationTimeout(() => {
+        state.card.classList.remove(this.settings.animationCloseStatusClass);
+      });
+      return;
+    }
+
+    if (
+      e.type === 'touchend' &&
+      state.direction === 'vertical' &&
+      this.settings.swipeDownToClose &&
+      state.isScrolledToTop &&
+      state.deltaY >= this.settings.swipeDownThreshold
+    ) {
+      this.close();
+    }
+  }
+
+  /**
+   * Checks whether the given element and all its ancestors up to the card are scrolled to the top.
+   *
+   * @param {HTMLElement} el - The element the touch started on.
+   * @param {HTMLElement} card - The open card.
+   * @return {boolean} `true` if nothing is scrolled.
+   */
+  isScrolledToTop(el, card) {
+    while (el && el !== card.parentElement) {
+      if (el.scrollTop > 0) return false;
+      el = el.parentElement;
+    }
+    return true;
+  }
+
+  /**
+   * Sets the provided card as the currently open card and updates its status class.
+   * Removes the open card status class from all other cards in the collection.
+   *
+   * @param {HTMLElement} card - The card element to set as open.
+   * @return {void}
+   */
+  setOpenCard(card) {
+    this.settings.$openCard = card;
+    this.settings.$cards.forEach(c =>
+      c.classList.remove(this.settings.openCardStatusClass)
+    );
+    card.classList.add(this.settings.openCardStatusClass);
+    this.rememberOpenCard();
+    this.updateBreadcrumb();
+  }
+
+  /**
+   * Creates the breadcrumb bar at the top of the menu container, if `breadcrumb` is enabled.
+   * It is placed before the cards of the first level, which are positioned below it.
+   *
+   * @return {void} This method does not return a value.
+   */
+  initBreadcrumb() {
+    if (!this.settings.breadcrumb || !this.settings.$menuWrap) return;
+
+    const className = this.settings.breadcrumbClass;
+    const $breadcrumb = document.createElement('nav');
+    $breadcrumb.className = className;
+    $breadcrumb.setAttribute('aria-label', this.settings.labels.breadcrumb);
+
+    const $list = document.createElement('ol');
+    $list.className = `${className}-list`;
+
+    const $live = document.createElement('span');
+    $live.className = `${className}-live`;
+    $live.setAttribute('aria-live', 'polite');
+    $live.setAttribute('aria-atomic', 'true');
+
+    $breadcrumb.append($list, $live);
+
+    const $firstCard = Array.from(this.settings.$menuWrap.children)
+      .find(el => el.classList.contains(this.settings.menuCardClass));
+    this.settings.$menuWrap.insertBefore($breadcrumb, $firstCard || null);
+
+    $breadcrumb.addEventListener('click', this.breadcrumbEvent);
+    $breadcrumb.addEventListener('keydown', this.keyboardEvent);
+    this.settings.$breadcrumb = $breadcrumb;
+  }
+
+  /**
+   * Renders the path of the open card into the breadcrumb bar and announces it via the `aria-live` region.
+   * All entries except the open card are buttons that navigate back to the corresponding card.
+   *
+   * @return {void} This method does not return a value.
+   */
+  updateBreadcrumb() {
+    const $breadcrumb = this.settings.$breadcrumb;
+    if (!$breadcrumb) return;
+
+    const className = this.settings.breadcrumbClass;
+    const $homeCard = this.settings.$cards[0];
+    const path = this.getCardPath(this.settings.$openCard);
+
+    // e.g. the search results card is not part of the tree
+    if (path.length && path[0] !== $homeCard) {
+      path.unshift($homeCard);
+    }
+
+    const entries = path.map(card => {
+      const uid = this.getUidFromCardId(card.id);
+      const item = this.settings.menuItemsIndex.get(String(uid))?.item;
+      let title = card === $homeCard ? this.settings.labels.home : this.settings.labels.search;
+      if (item) {
+        title = this.getPlainText(item.title);
+      }
+      return { uid, title };
+    });
+
+    const $list = $breadcrumb.querySelector(`.${className}-list`);
+    const height = $breadcrumb.offsetHeight;
+    $list.innerHTML = '';
+
+    entries.forEach((entry, index) => {
+      const $item = document.createElement('li');
+      $item.className = `${className}-item`;
+
+      if (index > 0) {
+        const $separator = document.createElement('span');
+        $separator.className = `${className}-separator`;
+        $separator.setAttribute('aria-hidden', 'true');
+        $separator.textContent = this.settings.breadcrumbSeparator;
+        $item.appendChild($separator);
+      }
+
+      let $entry;
+      if (index < entries.length - 1) {
+        $entry = document.createElement('button');
+        $entry.type = 'button';
+        $entry.className = `${className}-link`;
+        $entry.setAttribute('data-slide-nav-breadcrumb', entry.uid);
+      } else {
+        $entry = document.createElement('span');
+        $entry.className = `${className}-current`;
+        $entry.setAttribute('aria-current', 'location');
+      }
+
+      $entry.textContent = entry.title;
+      $item.appendChild($entry);
+      $list.appendChild($item);
+    });
+
+    $breadcrumb.querySelector(`.${className}-live`).textContent =
+      entries.map(entry => entry.title).join(this.settings.breadcrumbSeparator);
+
+    // the height of the bar may change with the length of the path
+    if (height !== $breadcrumb.offsetHeight) {
+      this.resizeCards();
+    }
+  }
+
+  /**
+   * Navigates to the card of the clicked breadcrumb entry.
+   * Unlike goToCard(), the menu jumps straight to that card in a single transition.
+   *
+   * @param {Event} e - The click event.
+   * @return {void} This method does not return a value.
+   */
+  breadcrumbEvent(e) {
+    const target = e.target.closest('[data-slide-nav-breadcrumb]');
+    if (!target) return;
+
+    e.preventDefault();
+
+    const uid = target.getAttribute('data-slide-nav-breadcrumb');
+    this.queueNavigation(() => this.loadCardPath(uid).then(card => this.navigateToCard(card, true)));
+  }
+
+  /**
+   * Returns the storage used to remember the open card, depending on `rememberOpenCard`.
+   *
+   * @return {Storage|null} The localStorage or sessionStorage, or `null` if disabled or not available.
+   */
+  getRememberStorage() {
+    try {
+      if (this.settings.rememberOpenCard === 'local') return window.localStorage;
+      if (this.settings.rememberOpenCard) return window.sessionStorage;
+    } catch (error) {
+      // storage is not available
+    }
+    return null;
+  }
+
+  /**
+   * Returns the key used to remember the open card in the storage.
+   *
+   * @return {string} The storage key.
+   */
+  getRememberStorageKey() {
+    return this.settings.rememberStorageKey || `madj2k-slidemenu-path-${this.settings.$menu?.id || ''}`;
+  }
+
+  /**
+   * Stores the path of the open card, so that the menu can be reopened at that card on the next page.
+   * The temporary search results card is never stored.
+   *
+   * @return {void} This method does not return a value.
+   */
+  rememberOpenCard() {
+    const storage = this.getRememberStorage();
+    if (!storage || !this.settings.$openCard || this.settings.$openCard === this.getCardByUid('search')) return;
+
+    try {
+      storage.setItem(this.getRememberStorageKey(), JSON.stringify({
+        path: this.getPath(),
+        time: Date.now()
+      }));
+    } catch (error) {
+      // remembering is optional
+    }
+  }
+
+  /**
+   * Returns the card remembered from the last page.
+   * Expired entries (see `rememberLifetime`) are removed. If the remembered card no longer exists,
+   * the deepest of its parent cards that still exists is returned.
+   *
+   * @return {HTMLElement|null} The remembered card or `null` if there is none.
+   */
+  getRememberedCard() {
+    const storage = this.getRememberStorage();
+    if (!storage) return null;
+
+    let entry = null;
+    try {
+      entry = JSON.parse(storage.getItem(this.getRememberStorageKey()));
+    } catch (error) {
+      return null;
+    }
+
+    if (!entry || !Array.isArray(entry.path)) return null;
+
+    if (
+      this.settings.rememberLifetime > 0 &&
+      Date.now() - (entry.time || 0) > this.settings.rememberLifetime * 1000
+    ) {
+      storage.removeItem(this.getRememberStorageKey());
+      return null;
+    }
+
+    // walk down the remembered path as long as the cards exist (rendering lazy cards on the way)
+    let card = null;
+    for (const uid of entry.path) {
+      const pathCard = this.getCardByUid(uid) || this.renderCard(uid);
+      if (!pathCard || (card && this.getParentCard(pathCard) !== card)) break;
+      card = pathCard;
+    }
+
+    return card;
+  }
+
+  /**
+   * Changes the currently open card by performing a series of actions including updating its state,
+   * toggling accessibility attributes, and setting focus.
+   *
+   * @param {Object} card - The card object to be opened.
+   * @return {void} This method does not return a value.
+   */
+  changeOpenCard(card) {
+    this.setOpenCard(card);
+    this.toggleTabIndexOnOpenCard();
+    this.toggleWaiAriaForOpenCard();
+    this.focusFirstItemOfOpenCard();
+  }
+
+  /**
+   * Focuses the first focusable item (such as links, buttons, inputs, etc.) within the currently open card, if available.
+   * Optionally allows a delay before focusing.
+   *
+   * @param {number} [timeout=0] - The amount of delay in milliseconds before focusing the item.
+   * @return {void} Does not return any value.
+   */
+  focusFirstItemOfOpenCard(timeout = 0) {
+    const el = this.settings.$openCard?.querySelector(
+      'a:not([tabindex]),button:not([tabindex]),input:not([tabindex]),textarea:not([tabindex]),select:not([tabindex])'
+    );
+    if (el) setTimeout(() => el.focus(), timeout);
+  }
+
+  /**
+   * Toggles the focus state of an element by applying focus after a specified timeout.
+   *
+   * @param {number} [timeout=0] - Optional timeout in milliseconds before the element is focused.
+   * @return {void} This method does not return a value.
+   */
+  focusToggle(timeout = 0) {
+    setTimeout(() => this.$element.focus(), timeout);
+  }
+
+  /**
+   * Toggles the WAI-ARIA attributes for the currently open card.
+   * Updates the `aria-expanded` attribute for card toggle elements within the menu
+   * to reflect whether the corresponding card is open or closed.
+   *
+   * @return {void} No return value.
+   */
+  toggleWaiAriaForOpenCard() {
+    this.settings.$menu
+      .querySelectorAll(`.${this.settings.nextCardToggleClass}`)
+      .forEach(el => el.setAttribute('aria-expanded', 'false'));
+
+    if (this.$element.classList.contains(this.settings.openStatusClass)) {
+      const id = this.settings.$openCard.id;
+      const toggle = this.settings.$menu.querySelector(
+        `.${this.settings.nextCardToggleClass}[aria-controls="${this.escapeSelector(id)}"]`
+      );
+      if (toggle) toggle.setAttribute('aria-expanded', 'true');
+    }
+  }
+
+  /**
+   * Toggles the tabindex attributes of focusable elements within an open card based on visibility in the viewport.
+   * Ensures that only elements visible within the card have tabindex enabled, while disabling tabindex for all other cards.
+   *
+   * @return {void} This method does not return a value.
+   */
+  toggleTabIndexOnOpenCard() {
+    this.disableTabIndexOnAllCards();
+
+    if (!this.$element.classList.contains(this.settings.openStatusClass)) return;
+
+    this.getFocusablesOutsideCards().forEach(el => el.removeAttribute('tabindex'));
+
+    // in the column layout the parent cards are visible, too
+    const cards = this.isColumnMode()
+      ? this.getCardPath(this.settings.$openCard)
+      : [this.settings.$openCard];
+
+    const width = window.innerWidth;
+    cards.forEach(card => {
+      card
+        .querySelectorAll('a,button,input,textarea,select')
+        .forEach(el => {
+          if (el.closest(`.${this.settings.menuCardClass}`) !== card) return;
+
+          const rect = el.getBoundingClientRect();
+          if (rect.left > 0 && rect.left <= width) {
+            el.removeAttribute('tabindex');
+          }
+        });
+    });
+  }
+
+  /**
+   * Disables the tabIndex attribute for all interactive elements
+   * (such as links, buttons, inputs, textareas, and selects)
+   * inside the menu element specified in the settings object.
+   *
+   * @return {void} This method does not return a value.
+   */
+  disableTabIndexOnAllCards() {
+    this.settings.$menu
+      .querySelectorAll('a,button,input,textarea,select')
+      .forEach(el => el.setAttribute('tabindex', '-1'));
+  }
+
+  /**
+   * Returns the interactive elements of the menu container that are placed outside the cards,
+   * e.g. the search field and the breadcrumb.
+   *
+   * @return {Array<HTMLElement>} The interactive elements.
+   */
+  getFocusablesOutsideCards() {
+    if (!this.settings.$menuWrap) return [];
+
+    return Array.from(this.settings.$menuWrap.querySelectorAll('a,button,input,textarea,select'))
+      .filter(el => !el.closest(`.${this.settings.menuCardClass}`));
+  }
+
+
+  /**
+   * Handles the event to resize cards by invoking the resizeCards method.
+   *
+   * @return {void} Does not return any value.
+   */
+  resizeCardsEvent() {
+    this.resizeCards();
+  }
+
+  /**
+   * Resizes the height of card elements based on the available space below a reference element.
+   *
+   * This method calculates the height by subtracting the bottom position of a reference element
+   * and the height of non-card elements in the menu container from the height of the viewport.
+   * The calculated height is then applied to each card in the collection of cards.
+   *
+   * @return {void} Does not return any value. The method updates the DOM elements directly.
+   */
+  resizeCards() {
+    const ref = this.settings.$positionReference || this.$element;
+    const rect = ref.getBoundingClientRect();
+    const offset = this.getCardsOffset();
+    const height = window.innerHeight - rect.bottom - offset;
+
+    this.settings.$cards.forEach(card => {
+      card.style.height = `${height}px`;
+
+      // cards of the first level are placed below other elements of the container (e.g. search field)
+      if (card.parentElement === this.settings.$menuWrap) {
+        card.style.top = offset ? `${offset}px` : '';
+
+        // nested cards inherit the width of the column
+        card.style.width = this.isColumnMode() ? `${100 / this.settings.columns}%` : '';
+      }
+    });
+  }
+
+  /**
+   * Returns the height of all elements in the menu container that are not cards (e.g. a search field).
+   * The cards of the first level are placed below these elements.
+   *
+   * @return {number} The height in pixels.
+   */
+  getCardsOffset() {
+    if (!this.settings.$menuWrap) return 0;
+
+    return Array.from(this.settings.$menuWrap.children)
+      .filter(el => !el.classList.contains(this.settings.menuCardClass))
+      .reduce((offset, el) => offset + el.offsetHeight, 0);
+  }
+
+
+  /**
+   * Adjusts the position of all cards in the collection without transition effect.
+   * The open card is shown, all its parent cards are shown behind it and all other cards are hidden,
+   * using the styles of the configured animation type.
+   *
+   * @return {void} This method does not return a value.
+   */
+  repositionCards() {
+    const path = this.getCardPath(this.settings.$openCard);
+
+    this.settings.$cards.forEach(card => {
+      card.style.transition = 'none';
+      this.applyStyles(card, this.getCardStyle(card, path));
+    });
+  }
+
+  /**
+   * Animates all cards of both paths from their position in the first path to their position in the second path.
+   *
+   * @param {Array<HTMLElement>} fromPath - The path of the currently open card.
+   * @param {Array<HTMLElement>} toPath - The path of the card to open.
+   * @param {number} [dragOffset=0] - The offset in pixels the currently open card is dragged by.
+   * @return {void} This method does not return a value.
+   */
+  animateCards(fromPath, toPath, dragOffset = 0) {
+    new Set([...fromPath, ...toPath]).forEach(card => {
+      this.animateElement(
+        card,
+        this.getCardStyle(card, fromPath, dragOffset),
+        this.getCardStyle(card, toPath)
+      );
+    });
+  }
+
+  /**
+   * Returns the styles of the given card for the given path of open cards.
+   * The last card of the path is visible, the other cards of the path are covered by it and all other cards are hidden.
+   * Since cards are nested, the offset of a card is calculated relative to its parent card.
+   * In the column layout the cards of the path are placed side by side, shifted to the left
+   * if the path is longer than the number of `columns`, and all other cards are invisible.
+   *
+   * @param {HTMLElement} card - The card to get the styles for.
+   * @param {Array<HTMLElement>} path - The open card together with all its parent cards.
+   * @param {number} [dragOffset=0] - The offset in pixels the open card is dragged by (e.g. during a swipe).
+   * @return {Object} The styles to apply.
+   */
+  getCardStyle(card, path, dragOffset = 0) {
+    const transition = this.settings.transition;
+    const openCard = path[path.length - 1];
+    const columnMode = this.isColumnMode();
+    const shift = columnMode ? Math.max(0, path.length - this.settings.columns) : 0;
+
+    const getState = el => {
+      if (el === openCard) return 'visible';
+      return path.includes(el) ? 'covered' : 'hidden';
+    };
+
+    const getPosition = el => {
+      if (!el) return 0;
+
+      if (columnMode) {
+        return getState(el) === 'hidden'
+          ? getPosition(this.getParentCard(el)) + 100
+          : (path.indexOf(el) - shift) * 100;
+      }
+
+      return { visible: 0, covered: transition.coveredOffset || 0, hidden: 100 }[getState(el)];
+    };
+
+    const offset = getPosition(card) - getPosition(this.getParentCard(card));
+    let style;
+
+    if (card === openCard && dragOffset) {
+      const width = card.offsetWidth || window.innerWidth;
+      style = transition.card('dragging', `calc(${offset}% + ${dragOffset}px)`, Math.min(1, dragOffset / width));
+    } else {
+      style = transition.card(getState(card), `${offset}%`, 0);
+    }
+
+    if (columnMode) {
+      style = Object.assign({}, style, { visibility: getState(card) === 'hidden' ? 'hidden' : 'visible' });
+    }
+
+    return style;
+  }
+
+  /**
+   * Returns the name of the configured animation type, or "custom" if a transition object is given.
+   *
+   * @return {string} The name of the animation type.
+   */
+  getTransitionName() {
+    const type = this.settings.animationType;
+    if (type && typeof type === 'object') return 'custom';
+    return ['slide', 'transform', 'push', 'fade'].includes(type) ? type : 'slide';
+  }
+
+  /**
+   * Returns the transition for the configured animation type.
+   * A transition defines the styles of the menu container in its hidden and visible state,
+   * the styles of a card for a given state and offset and the offset of covered (parent) cards in percent.
+   * Custom transitions can be passed as object via the `animationType` option.
+   *
+   * @return {{menu: {hidden: Object, visible: Object}, card: Function, coveredOffset: number}} The transition.
+   */
+  getTransition() {
+    if (this.getTransitionName() === 'custom') {
+      return this.settings.animationType;
+    }
+
+    const translateMenu = {
+      hidden: { top: '0', transform: 'translate3d(0, -100%, 0)' },
+      visible: { top: '0', transform: 'translate3d(0, 0, 0)' }
+    };
+
+    const translateCard = (state, offset) => ({ left: '0', transform: `translate3d(${offset}, 0, 0)` });
+
+    const transitions = {
+      slide: {
+        menu: { hidden: { top: '-100%' }, visible: { top: '0' } },
+        card: (state, offset) => ({ left: offset }),
+        coveredOffset: 0
+      },
+      transform: {
+        menu: translateMenu,
+        card: translateCard,
+        coveredOffset: 0
+      },
+      push: {
+        menu: translateMenu,
+        card: translateCard,
+        coveredOffset: -30
+      },
+      fade: {
+        menu: {
+          hidden: { top: '0', opacity: '0' },
+          visible: { top: '0', opacity: '1' }
+        },
+        card: (state, offset, progress) => state === 'hidden'
+          ? { left: '0', opacity: '0', visibility: 'hidden' }
+          : { left: '0', opacity: String(1 - progress), visibility: 'visible' },
+        coveredOffset: 0
+      }
+    };
 
-        const focusables = Array.from(
-          this.settings.$openCard.querySelectorAll(
-            'a:not([tabindex="-1"]), button:not([tabindex="-1"]), input:not([tabindex="-1"]), textarea:not([tabindex="-1"]), select:not([tabindex="-1"])'
-          )
-        ).filter(el =>
-          el.closest(`.${this.settings.menuCardClass}`) === this.settings.$openCard
-        );
+    return transitions[this.getTransitionName()];
+  }
 
-        if (!focusables.length) break;
+  /**
+   * Returns the animation duration in milliseconds.
+   * With `reducedMotion` the duration is 0 if the user prefers reduced motion.
+   *
+   * @return {number} The animation duration.
+   */
+  getAnimationDuration() {
+    if (
+      this.settings.reducedMotion &&
+      window.matchMedia?.('(prefers-reduced-motion: reduce)').matches
+    ) {
+      return 0;
+    }
 
-        const first = focusables[0];
-        const last = focusables[focusables.length - 1];
+    return this.settings.animationDuration;
+  }
 
-        if (e.shiftKey && document.activeElement === first) {
-          e.preventDefault();
-          last.focus();
-        } else if (!e.shiftKey && document.activeElement === last) {
-          e.preventDefault();
-          first.focus();
-        }
+  /**
+   * Positions the menu by invoking the positionMenu method.
+   *
+   * @return {void} Does not return a value.
+   */
+  positionMenuEvent() {
+    this.positionMenu();
+  }
 
-        break;
-    }
+  /**
+   * Positions the menu element based on the reference element's position within the viewport.
+   *
+   * This method calculates the bottom position of the reference element and sets the menu's top style
+   * to align it accordingly. If no position reference is specified in the settings, the element itself
+   * is used as the reference point.
+   *
+   * @return {void} Does not return a value.
+   */
+  positionMenu() {
+    const ref = this.settings.$positionReference || this.$element;
+    const rect = ref.getBoundingClientRect();
+    this.settings.$menu.style.top = `${rect.bottom}px`;
   }
 
   /**
-   * Handles the event to navigate to the previous card in a sliding menu.
+   * Executes the given callback once the animation duration has passed.
+   * Pending callbacks are tracked so that they can be cleared on destroy().
    *
-   * @param {Event} e The event object triggered by the user interaction.
+   * @param {Function} callback - The function to execute after the animation.
    * @return {void} This method does not return a value.
    */
-  previousCardEvent(e) {
-    e.preventDefault();
+  setAnimationTimeout(callback) {
+    const timeout = setTimeout(() => {
+      this.settings.animationTimeouts.delete(timeout);
+      callback();
+    }, this.getAnimationDuration());
 
-    const target = e.currentTarget;
-    const controlledCard = document.getElementById(target.getAttribute('aria-controls'));
-    const parentCard = document.getElementById(target.dataset.parentCard);
+    this.settings.animationTimeouts.add(timeout);
+  }
 
-    if (!controlledCard || !parentCard) return;
+  /**
+   * Executes the given callback after the animation and resolves with its result.
+   * The promise is settled with `false` if the animation is aborted by `destroy()`.
+   *
+   * @param {Function} callback - The function to execute after the animation.
+   * @return {Promise<*>} Resolves with the return value of the callback.
+   */
+  waitForAnimation(callback) {
+    return new Promise(resolve => {
+      const settle = result => {
+        this.settings.pendingAnimations.delete(settle);
+        resolve(result);
+      };
+
+      this.settings.pendingAnimations.add(settle);
+      this.setAnimationTimeout(() => settle(callback()));
+    });
+  }
 
-    this.disableTabIndexOnAllCards();
-    controlledCard.classList.add(this.settings.animationCloseStatusClass);
+  /**
+   * Animate element from the given styles to the target styles.
+   * Without animation duration (e.g. with reduced motion) the target styles are applied directly.
+   *
+   * @param {HTMLElement} el
+   * @param {Object} from - e.g. { left: '100%' } or { transform: 'translate3d(100%, 0, 0)' }
+   * @param {Object} to
+   */
+  animateElement(el, from, to) {
+    const duration = this.getAnimationDuration();
 
-    this.animateElement(
-      controlledCard,
-      { left: '0' },
-      { left: '100%' }
-    );
+    el.style.transition = 'none';
+    this.applyStyles(el, from);
 
-    setTimeout(() => {
-      this.changeOpenCard(parentCard);
-      controlledCard.classList.remove(this.settings.animationCloseStatusClass);
-      document.dispatchEvent(new Event('madj2k-slidemenu-previous-opened'));
-    }, this.settings.animationDuration);
+    if (!duration) {
+      this.applyStyles(el, to);
+      return;
+    }
+
+    // force reflow
+    el.offsetHeight;
+    el.style.transition = `all ${duration}ms ${this.settings.animationEasing}`;
+
+    requestAnimationFrame(() => {
+      this.applyStyles(el, to);
+    });
   }
 
+  /**
+   * Applies the given styles to the element.
+   *
+   * @param {HTMLElement} el
+   * @param {Object} styles - Style properties in camelCase, e.g. { left: '0', opacity: '1' }
+   */
+  applyStyles(el, styles) {
+    Object.entries(styles || {}).forEach(([property, value]) => {
+      el.style[property] = value;
+    });
+  }
 
   /**
-   * Triggers the animation and logic to open the next card in a slide menu.
-   * Handles disabling tab indices on all cards, animating the transition,
-   * and dispatching a custom event when the next card has fully opened.
+   * Toggles the "no-scroll" state for the body element to enable or disable scrolling.
+   * When enabling the "no-scroll" state, it stores the current scroll position, applies
+   * necessary styles to lock the scroll, and resets the scroll position to the top.
+   * When disabling the state, it restores the original scroll position and removes the applied styles.
    *
-   * @param {Event} e The event object triggered by clicking or interacting with the navigation element.
    * @return {void} This method does not return a value.
    */
-  nextCardEvent(e) {
-    e.preventDefault();
+  toggleNoScroll() {
 
-    const target = e.currentTarget;
-    const controlledCard = document.getElementById(target.getAttribute('aria-controls'));
+    if (this.settings.scrollHelper) {
+      const body = document.body;
+      const helper = body.querySelector('.no-scroll-helper');
+      const inner = body.querySelector('.no-scroll-helper-inner');
+      let noScrollClass ='';
 
-    if (!controlledCard) return;
+      if (document.documentElement.scrollHeight > window.innerHeight) {
+        noScrollClass = this.settings.openStatusBodyClassOverflow;
+      }
 
-    this.disableTabIndexOnAllCards();
-    controlledCard.classList.add(this.settings.animationOpenStatusClass);
+      if (!body.classList.contains(this.settings.openStatusBodyClass)) {
+        const scrollTop = -document.documentElement.scrollTop;
+        helper.setAttribute('data-scroll-top', scrollTop);
+        helper.style.cssText = 'position:relative;overflow:hidden;height:100vh;width:100%';
+        inner.style.cssText = `position:absolute;top:${scrollTop}px;height:100%;width:100%`;
+        body.classList.add(this.settings.openStatusBodyClass);
+        if (noScrollClass) body.classList.add(noScrollClass);
+        window.scrollTo({top: 0, behavior: 'instant'});
+      } else {
+        const scrollTop = parseInt(helper.getAttribute('data-scroll-top') || '0') * -1;
+        helper.removeAttribute('style');
+        helper.removeAttribute('data-scroll-top');
+        inner.removeAttribute('style');
+        body.classList.remove(this.settings.openStatusBodyClass, this.settings.openStatusBodyClassOverflow);
+        window.scrollTo({top: scrollTop, behavior: 'instant'});
+      }
+    }
+  }
 
-    this.animateElement(
-      controlledCard,
-      { left: '100%' },
-      { left: '0' }
-    );
+  /**
+   * Initializes a 'no-scroll-helper' element within the specified content section. This method ensures
+   * that the content is wrapped inside helper elements to manage scroll behavior. If the 'no-scroll-helper'
+   * element already exists, the method does nothing.
+   * The existing nodes are moved into the helper, so that references and event listeners on them are kept.
+   *
+   * @return {void} Does not return any value.
+   */
+  initNoScrollHelper() {
+    if (this.settings.scrollHelper) {
+      const body = document.body;
+      let helper = body.querySelector('.no-scroll-helper');
+      const content = document.querySelector(`.${this.settings.contentSectionClass}`);
 
-    setTimeout(() => {
-      this.changeOpenCard(controlledCard);
-      controlledCard.classList.remove(this.settings.animationOpenStatusClass);
-      document.dispatchEvent(new Event('madj2k-slidemenu-next-opened'));
-    }, this.settings.animationDuration);
+      if (!helper) {
+        const parent = content || body;
+        const inner = document.createElement('div');
+        inner.className = 'no-scroll-helper-inner';
+
+        helper = document.createElement('div');
+        helper.className = 'no-scroll-helper';
+
+        while (parent.firstChild) {
+          inner.appendChild(parent.firstChild);
+        }
+
+        helper.appendChild(inner);
+        parent.appendChild(helper);
+
+        this.settings.$noScrollHelper = helper;
+      }
+    }
   }
 
+  /**
+   * Unwraps the content of the 'no-scroll-helper' element, if it was created by this instance.
+   * The wrapped nodes are moved back to their original parent and the helper elements are removed.
+   *
+   * @return {void} Does not return any value.
+   */
+  destroyNoScrollHelper() {
+    const helper = this.settings.$noScrollHelper;
+    if (!helper || !helper.parentNode) return;
+
+    const inner = helper.querySelector('.no-scroll-helper-inner');
+    while (inner && inner.firstChild) {
+      helper.parentNode.insertBefore(inner.firstChild, helper);
+    }
+
+    helper.remove();
+    this.settings.$noScrollHelper = null;
+  }
 
   /**
-   * Sets the provided card as the currently open card and updates its status class.
-   * Removes the open card status class from all other cards in the collection.
+   * Binds the listeners of the search field, if the search is enabled.
    *
-   * @param {HTMLElement} card - The card element to set as open.
-   * @return {void}
+   * @return {void} This method does not return a value.
    */
-  setOpenCard(card) {
-    this.settings.$openCard = card;
-    this.settings.$cards.forEach(c =>
-      c.classList.remove(this.settings.openCardStatusClass)
-    );
-    card.classList.add(this.settings.openCardStatusClass);
+  bindSearchEvents() {
+    if (!this.settings.search) return;
+
+    this.settings.$searchInput = this.settings.$menu.querySelector(`.${this.settings.searchInputClass}`);
+
+    if (
+      !this.settings.$searchInput ||
+      !this.settings.searchResultsWrapTemplate ||
+      !this.settings.searchResultItemTemplate
+    ) {
+      console.warn('Search field or search templates not found. Search is disabled.');
+      this.settings.$searchInput = null;
+      return;
+    }
+
+    this.settings.$searchInput.addEventListener('input', this.searchInputEvent);
   }
 
   /**
-   * Changes the currently open card by performing a series of actions including updating its state,
-   * toggling accessibility attributes, and setting focus.
+   * Handles the input into the search field and starts the search after `searchDelay`.
    *
-   * @param {Object} card - The card object to be opened.
+   * @param {Event} e - The input event.
    * @return {void} This method does not return a value.
    */
-  changeOpenCard(card) {
-    this.setOpenCard(card);
-    this.toggleTabIndexOnOpenCard();
-    this.toggleWaiAriaForOpenCard();
-    this.focusFirstItemOfOpenCard();
+  searchInputEvent(e) {
+    clearTimeout(this.settings.searchTimeout);
+    this.settings.searchTimeout = setTimeout(() => this.search(e.target.value), this.settings.searchDelay);
   }
 
   /**
-   * Focuses the first focusable item (such as links, buttons, inputs, etc.) within the currently open card, if available.
-   * Optionally allows a delay before focusing.
+   * Handles the keyboard navigation between the search field and the search results.
+   * ArrowDown/ArrowUp move through the results, Escape clears the search.
    *
-   * @param {number} [timeout=0] - The amount of delay in milliseconds before focusing the item.
-   * @return {void} Does not return any value.
+   * @param {KeyboardEvent} e - The keyboard event.
+   * @return {boolean} `true` if the event was handled.
    */
-  focusFirstItemOfOpenCard(timeout = 0) {
-    const el = this.settings.$openCard?.querySelector(
-      'a:not([tabindex]),button:not([tabindex]),input:not([tabindex]),textarea:not([tabindex]),select:not([tabindex])'
-    );
-    if (el) setTimeout(() => el.focus(), timeout);
+  searchKeyboardEvent(e) {
+    const $searchInput = this.settings.$searchInput;
+    if (!$searchInput) return false;
+
+    const $resultsCard = this.getCardByUid('search');
+
+    if (e.target === $searchInput) {
+      if (e.key === 'Escape' && $searchInput.value) {
+        e.preventDefault();
+        this.closeSearch(true);
+        return true;
+      }
+
+      if (e.key === 'ArrowDown' && $resultsCard) {
+        e.preventDefault();
+        $resultsCard.querySelector('a,button')?.focus();
+        return true;
+      }
+
+      return false;
+    }
+
+    if (!$resultsCard || !$resultsCard.contains(e.target)) return false;
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return false;
+
+    e.preventDefault();
+
+    const results = Array.from($resultsCard.querySelectorAll('a,button'));
+    const index = results.indexOf(e.target) + (e.key === 'ArrowDown' ? 1 : -1);
+
+    if (index < 0) {
+      $searchInput.focus();
+    } else if (index < results.length) {
+      results[index].focus();
+    }
+
+    return true;
   }
 
   /**
-   * Toggles the focus state of an element by applying focus after a specified timeout.
+   * Handles clicks on elements with a `data-slide-nav-goto` attribute inside the search results
+   * by closing the search and navigating to the card of the given uid.
    *
-   * @param {number} [timeout=0] - Optional timeout in milliseconds before the element is focused.
+   * @param {Event} e - The click event.
    * @return {void} This method does not return a value.
    */
-  focusToggle(timeout = 0) {
-    setTimeout(() => this.$element.focus(), timeout);
+  searchGoToEvent(e) {
+    const target = e.target.closest('[data-slide-nav-goto]');
+    if (!target) return;
+
+    e.preventDefault();
+    this.closeSearch(true);
+    this.goToCard(target.getAttribute('data-slide-nav-goto'));
   }
 
   /**
-   * Toggles the WAI-ARIA attributes for the currently open card.
-   * Updates the `aria-expanded` attribute for card toggle elements within the menu
-   * to reflect whether the corresponding card is open or closed.
+   * Searches all levels of the menu items by title and shows the results in a temporary card.
+   * If the query is shorter than `searchMinLength`, the search is closed instead.
    *
-   * @return {void} No return value.
+   * @param {string} query - The search query.
+   * @return {Array<Object>} The matching entries of the menu items index.
    */
-  toggleWaiAriaForOpenCard() {
-    this.settings.$menu
-      .querySelectorAll(`.${this.settings.nextCardToggleClass}`)
-      .forEach(el => el.setAttribute('aria-expanded', 'false'));
+  search(query) {
+    query = (query || '').trim();
 
-    if (this.$element.classList.contains(this.settings.openStatusClass)) {
-      const id = this.settings.$openCard.id;
-      const toggle = this.settings.$menu.querySelector(
-        `.${this.settings.nextCardToggleClass}[aria-controls="${id}"]`
-      );
-      if (toggle) toggle.setAttribute('aria-expanded', 'true');
+    if (query.length < this.settings.searchMinLength) {
+      this.closeSearch();
+      return [];
+    }
+
+    const results = this.findMenuItems(query);
+    this.renderSearchResults(query, results);
+
+    document.dispatchEvent(new CustomEvent('madj2k-slidemenu-search', {
+      detail: { query: query, results: results.map(entry => entry.item) }
+    }));
+
+    return results;
+  }
+
+  /**
+   * Returns all indexed menu items whose title contains the given query (case-insensitive).
+   *
+   * @param {string} query - The search query.
+   * @return {Array<Object>} The matching entries of the menu items index, limited to `searchMaxResults`.
+   */
+  findMenuItems(query) {
+    const needle = query.toLowerCase();
+    const results = [];
+
+    for (const entry of this.settings.menuItemsIndex.values()) {
+      if (results.length >= this.settings.searchMaxResults) break;
+      if (this.getPlainText(entry.item.title).toLowerCase().includes(needle)) {
+        results.push(entry);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Renders the search results into a temporary card and shows it instead of the open card.
+   *
+   * @param {string} query - The search query.
+   * @param {Array<Object>} results - The matching entries of the menu items index.
+   * @return {void} This method does not return a value.
+   */
+  renderSearchResults(query, results) {
+    let html = '';
+    results.forEach(entry => {
+      const marker = this.getItemMarker(entry.item, entry.parentItem, entry.level);
+      marker.breadcrumb = this.getSearchBreadcrumb(entry);
+      html += this.replaceHtml(this.settings.searchResultItemTemplate, marker);
+    });
+
+    html = this.replaceHtml(this.settings.searchResultsWrapTemplate, {
+      uid: 'search',
+      levelClass: 'level-1',
+      query: query,
+      resultCount: results.length,
+      menuItems: html
+    }).replace(/<!--[\s\S]*?-->/g, '');
+
+    this.getCardByUid('search')?.remove();
+    this.settings.$menuWrap.insertAdjacentHTML('beforeend', html);
+
+    const $resultsCard = this.getCardByUid('search');
+    if (!$resultsCard) return;
+
+    if (!this.settings.$searchReturnCard) {
+      this.settings.$searchReturnCard = this.settings.$openCard;
     }
+
+    this.settings.$cards =
+      Array.from(this.settings.$menu.querySelectorAll(`.${this.settings.menuCardClass}`));
+
+    this.settings.$menu.classList.add(this.settings.searchStatusClass);
+    $resultsCard.addEventListener('click', this.searchGoToEvent);
+    this.bindCardEvents($resultsCard);
+
+    this.setOpenCard($resultsCard);
+    this.resizeCards();
+    this.repositionCards();
+    this.toggleTabIndexOnOpenCard();
   }
 
   /**
-   * Toggles the tabindex attributes of focusable elements within an open card based on visibility in the viewport.
-   * Ensures that only elements visible within the card have tabindex enabled, while disabling tabindex for all other cards.
+   * Removes the search results card and restores the card that was open before searching.
    *
+   * @param {boolean} [clearInput=false] - Whether to clear the search field, too.
    * @return {void} This method does not return a value.
    */
-  toggleTabIndexOnOpenCard() {
-    this.disableTabIndexOnAllCards();
+  closeSearch(clearInput = false) {
+    clearTimeout(this.settings.searchTimeout);
 
-    if (!this.$element.classList.contains(this.settings.openStatusClass)) return;
+    if (clearInput && this.settings.$searchInput) {
+      this.settings.$searchInput.value = '';
+    }
 
-    const width = window.innerWidth;
-    this.settings.$openCard
-      .querySelectorAll('a,button,input,textarea,select')
-      .forEach(el => {
-        const rect = el.getBoundingClientRect();
-        if (rect.left > 0 && rect.left <= width) {
-          el.removeAttribute('tabindex');
-        }
-      });
+    const $resultsCard = this.getCardByUid('search');
+    if (!$resultsCard) return;
+
+    $resultsCard.remove();
+    this.settings.$menu.classList.remove(this.settings.searchStatusClass);
+    this.settings.$cards =
+      Array.from(this.settings.$menu.querySelectorAll(`.${this.settings.menuCardClass}`));
+
+    const $returnCard = this.settings.$searchReturnCard;
+    this.settings.$searchReturnCard = null;
+
+    if ($returnCard) {
+      this.setOpenCard($returnCard);
+      this.repositionCards();
+      this.toggleTabIndexOnOpenCard();
+      this.toggleWaiAriaForOpenCard();
+    }
   }
 
   /**
-   * Disables the tabIndex attribute for all interactive elements
-   * (such as links, buttons, inputs, textareas, and selects)
-   * inside the menu element specified in the settings object.
+   * Returns the titles of all parent items of the given index entry as plain text path.
    *
-   * @return {void} This method does not return a value.
+   * @param {Object} entry - The entry of the menu items index.
+   * @return {string} The parent titles, separated by `searchBreadcrumbSeparator`.
    */
-  disableTabIndexOnAllCards() {
-    this.settings.$menu
-      .querySelectorAll('a,button,input,textarea,select')
-      .forEach(el => el.setAttribute('tabindex', '-1'));
-  }
+  getSearchBreadcrumb(entry) {
+    const titles = [];
+    let parent = entry.parentItem;
+
+    while (parent) {
+      titles.unshift(this.getPlainText(parent.title));
+      parent = this.settings.menuItemsIndex.get(String(parent.data.uid))?.parentItem || null;
+    }
 
+    return titles.join(this.settings.searchBreadcrumbSeparator);
+  }
 
   /**
-   * Handles the event to resize cards by invoking the resizeCards method.
+   * Converts the given HTML (e.g. a title with soft hyphens) to plain text.
    *
-   * @return {void} Does not return any value.
+   * @param {string} html - The HTML to convert.
+   * @return {string} The plain text.
    */
-  resizeCardsEvent() {
-    this.resizeCards();
+  getPlainText(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html || '';
+    return template.content.textContent.replace(/\u00AD/g, '');
   }
 
   /**
-   * Resizes the height of card elements based on the available space below a reference element.
+   * Returns the template with the given type.
+   * Templates passed via the `templates` option take precedence over the `<template>` elements in the page.
+   * If neither exists, the built-in default template is used with `defaultTemplates`.
    *
-   * This method calculates the height by subtracting the bottom position of a reference element
-   * from the height of the viewport. The calculated height is then applied to each card in the
-   * collection of cards.
-   *
-   * @return {void} Does not return any value. The method updates the DOM elements directly.
+   * @param {string} type - The value of the `data-type` attribute of the template.
+   * @return {string|Function} The template HTML, a template function or an empty string if the template does not exist.
    */
-  resizeCards() {
-    const ref = this.settings.$positionReference || this.$element;
-    const rect = ref.getBoundingClientRect();
-    const height = window.innerHeight - rect.bottom;
+  getTemplate(type) {
+    const template = this.settings.templates?.[type];
+    if (typeof template === 'function' || (typeof template === 'string' && template)) {
+      return template;
+    }
 
-    this.settings.$cards.forEach(card => {
-      card.style.height = `${height}px`;
-    });
-  }
+    const html = document.querySelector(`.${this.settings.templatePartsClass}[data-type="${type}"]`)?.innerHTML;
+    if (html) {
+      return html;
+    }
 
+    return this.settings.defaultTemplates ? this.getDefaultTemplate(type) : '';
+  }
 
   /**
-   * Adjusts the position of all cards in the collection. Sets all cards' `left` style property
-   * to "100%" with no transition effect. If a card is currently designated as open,
-   * its `left` style property is set to "0".
+   * Returns the built-in default template with the given type.
+   * The templates use the configured classes, the `cardIdPrefix` and the texts of the `labels` option.
    *
-   * @return {void} This method does not return a value.
+   * @param {string} type - The type of the template.
+   * @return {string} The template HTML or an empty string for unknown types.
    */
-  repositionCards() {
-    this.settings.$cards.forEach(card => {
-      card.style.transition = 'none';
-      card.style.left = '100%';
-    });
-
-    if (this.settings.$openCard) {
-      this.settings.$openCard.style.left = '0';
-    }
+  getDefaultTemplate(type) {
+    const s = this.settings;
+    const label = key => this.escapeHtml(s.labels[key]);
+
+    const search = s.search
+      ? `<div class="slide-nav-search">
+            <input type="search" class="${s.searchInputClass}" aria-label="${label('search')}" placeholder="${label('search')}">
+          </div>`
+      : '';
+
+    const templates = {
+      menuWrap: `
+        <div class="slide-nav-container ${s.menuWrapClass}">
+          ${search}
+          <div class="slide-nav-card ${s.menuCardClass} {{levelClass}}" id="${s.cardIdPrefix}{{uid}}">
+            <div class="slide-nav-inner">
+              <ul class="slide-nav-list">
+                {{{menuItems}}}
+              </ul>
+            </div>
+          </div>
+        </div>`,
+
+      menuItem: `
+        <li class="slide-nav-item {{activeClass}} {{hasChildrenClass}}">
+          {{#if hasChildren}}
+            <a class="slide-nav-link slide-nav-next ${s.nextCardToggleClass} {{activeClass}} {{hasChildrenClass}}"
+               href="#"
+               role="button"
+               title="${label('openSubmenu')}"
+               aria-haspopup="true"
+               aria-expanded="{{ariaExpanded}}"
+               aria-controls="${s.cardIdPrefix}{{uid}}">
+              <span>{{title}}</span>
+            </a>
+          {{else}}
+            <a class="slide-nav-link {{activeClass}}"
+               href="{{link}}"
+               target="{{target}}"
+               aria-current="{{ariaCurrent}}">
+              <span>{{title}}</span>
+            </a>
+          {{/if}}
+          {{{submenu}}}
+        </li>`,
+
+      subMenuWrap: `
+        <div class="slide-nav-card ${s.menuCardClass} {{activeClass}} {{levelClass}}" id="${s.cardIdPrefix}{{uid}}">
+          <div class="slide-nav-inner">
+            <ul class="slide-nav-list">
+              <li class="slide-nav-item-back">
+                <button class="slide-nav-back ${s.lastCardToggleClass}"
+                        type="button"
+                        aria-label="${label('levelUp')}"
+                        aria-controls="${s.cardIdPrefix}{{uid}}"
+                        data-parent-card="${s.cardIdPrefix}{{parentUid}}">
+                  <span class="slide-nav-back-label">${label('back')}</span>
+                </button>
+              </li>
+              <li class="slide-nav-headline {{levelClass}}">
+                {{#if isLinked}}
+                  <a class="slide-nav-headline-link {{currentClass}} {{isLinkedClass}}"
+                     href="{{link}}"
+                     target="{{target}}"
+                     aria-current="{{ariaCurrent}}">
+                    <span>{{title}}</span>
+                  </a>
+                {{else}}
+                  <span class="slide-nav-headline-text {{currentClass}}">{{title}}</span>
+                {{/if}}
+              </li>
+              {{{menuItems}}}
+            </ul>
+          </div>
+        </div>`,
+
+      searchResultsWrap: `
+        <div class="slide-nav-card ${s.menuCardClass} {{levelClass}}" id="${s.cardIdPrefix}{{uid}}">
+          <div class="slide-nav-inner">
+            <p class="slide-nav-search-count">{{resultCount}} ${label('searchResults')} "{{query}}"</p>
+            <ul class="slide-nav-list">
+              {{{menuItems}}}
+            </ul>
+          </div>
+        </div>`,
+
+      searchResultItem: `
+        <li class="slide-nav-item">
+          <a class="slide-nav-link" href="{{link}}" target="{{target}}">
+            <span>{{title}}</span>
+          </a>
+          {{#if breadcrumb}}
+            <button class="slide-nav-breadcrumb" type="button" data-slide-nav-goto="{{parentUid}}">{{breadcrumb}}</button>
+          {{/if}}
+        </li>`
+    };
 
-    //  ALSO show all parent cards
-    let parent = this.settings.$openCard.parentElement;
-    while (parent) {
-      if (parent.classList?.contains(this.settings.menuCardClass)) {
-        parent.style.left = '0';
-      }
-      parent = parent.parentElement;
-    }
+    return templates[type] || '';
   }
 
   /**
-   * Positions the menu by invoking the positionMenu method.
+   * Returns the card element of the menu item with the given uid.
    *
-   * @return {void} Does not return a value.
+   * @param {string|number} uid - The uid of the menu item.
+   * @return {HTMLElement|null} The card element or `null` if it has not been rendered.
    */
-  positionMenuEvent() {
-    this.positionMenu();
+  getCardByUid(uid) {
+    return document.getElementById(`${this.settings.cardIdPrefix}${uid}`);
   }
 
   /**
-   * Positions the menu element based on the reference element's position within the viewport.
-   *
-   * This method calculates the bottom position of the reference element and sets the menu's top style
-   * to align it accordingly. If no position reference is specified in the settings, the element itself
-   * is used as the reference point.
+   * Extracts the uid of a menu item from the id of its card, based on `cardIdPrefix`.
    *
-   * @return {void} Does not return a value.
+   * @param {string} cardId - The id of the card element.
+   * @return {string|null} The uid or `null` if the id does not match the prefix.
    */
-  positionMenu() {
-    const ref = this.settings.$positionReference || this.$element;
-    const rect = ref.getBoundingClientRect();
-    this.settings.$menu.style.top = `${rect.bottom}px`;
+  getUidFromCardId(cardId) {
+    if (!cardId || !cardId.startsWith(this.settings.cardIdPrefix)) {
+      return null;
+    }
+    return cardId.substring(this.settings.cardIdPrefix.length);
   }
 
   /**
-   * Animate element to target position
+   * Adds the given menu items and all their children recursively to the uid index,
+   * which is used to look up items and their parents when rendering cards on demand.
    *
-   * @param {HTMLElement} el
-   * @param {{ left?: string, top?: string }} from
-   * @param {{ left?: string, top?: string }} to
+   * @param {Array} items - The menu items to index.
+   * @param {Object|null} [parentItem=null] - The parent menu item.
+   * @param {number} [level=0] - The nesting level of the items.
+   * @return {void} This method does not return a value.
    */
-  animateElement(el, from, to) {
-
-    el.style.transition = 'none';
-
-    if (from.left !== undefined) el.style.left = from.left;
-    if (from.top !== undefined) el.style.top = from.top;
-
-    // force reflow
-    el.offsetHeight;
-    el.style.transition = `all ${this.settings.animationDuration}ms ease`;
-
-    requestAnimationFrame(() => {
-      if (to.left !== undefined) el.style.left = to.left;
-      if (to.top !== undefined) el.style.top = to.top;
+  indexMenuItems(items, parentItem = null, level = 0) {
+    items.forEach(item => {
+      this.settings.menuItemsIndex.set(String(item.data.uid), { item, parentItem, level });
+      if (item.children?.length) {
+        this.indexMenuItems(item.children, item, level + 1);
+      }
     });
   }
 
   /**
-   * Toggles the "no-scroll" state for the body element to enable or disable scrolling.
-   * When enabling the "no-scroll" state, it stores the current scroll position, applies
-   * necessary styles to lock the scroll, and resets the scroll position to the top.
-   * When disabling the state, it restores the original scroll position and removes the applied styles.
+   * Returns the card of the menu item with the given uid. If the card has not been rendered yet,
+   * the children are fetched via `loadChildrenCallback` (if they are not part of the JSON) and the card is rendered.
    *
-   * @return {void} This method does not return a value.
+   * @param {string|number} uid - The uid of the menu item.
+   * @return {Promise<HTMLElement|null>} Resolves with the card element or `null` if it could not be rendered.
    */
-  toggleNoScroll() {
-
-    if (this.settings.scrollHelper) {
-      const body = document.body;
-      const helper = body.querySelector('.no-scroll-helper');
-      const inner = body.querySelector('.no-scroll-helper-inner');
-      let noScrollClass ='';
+  loadCard(uid) {
+    const card = this.getCardByUid(uid);
+    if (card) {
+      return Promise.resolve(card);
+    }
 
-      if (document.documentElement.scrollHeight > window.innerHeight) {
-        noScrollClass = this.settings.openStatusBodyClassOverflow;
-      }
+    const entry = this.settings.menuItemsIndex.get(String(uid));
+    if (!entry) {
+      return Promise.resolve(null);
+    }
 
-      if (!body.classList.contains(this.settings.openStatusBodyClass)) {
-        const scrollTop = -document.documentElement.scrollTop;
-        helper.setAttribute('data-scroll-top', scrollTop);
-        helper.style.cssText = 'position:relative;overflow:hidden;height:100vh;width:100%';
-        inner.style.cssText = `position:absolute;top:${scrollTop}px;height:100%;width:100%`;
-        body.classList.add(noScrollClass);
-        window.scrollTo({top: 0, behavior: 'instant'});
-      } else {
-        const scrollTop = parseInt(helper.getAttribute('data-scroll-top') || '0') * -1;
-        helper.removeAttribute('style');
-        inner.removeAttribute('style');
-        body.classList.remove(this.settings.openStatusBodyClassOverflow);
-        window.scrollTo({top: scrollTop, behavior: 'instant'});
-      }
+    if (entry.item.children?.length || typeof this.settings.loadChildrenCallback !== 'function') {
+      return Promise.resolve(this.renderCard(uid));
     }
+
+    return Promise.resolve()
+      .then(() => this.settings.loadChildrenCallback(entry.item, this))
+      .then(children => {
+        entry.item.children = Array.isArray(children) ? children : [];
+        this.indexMenuItems(entry.item.children, entry.item, entry.level + 1);
+        return this.renderCard(uid);
+      })
+      .catch(error => {
+        console.warn(`Could not load children of menu item ${uid}.`, error);
+        return null;
+      });
   }
 
   /**
-   * Initializes a 'no-scroll-helper' element within the specified content section. This method ensures
-   * that the content is wrapped inside helper elements to manage scroll behavior. If the 'no-scroll-helper'
-   * element already exists, the method does nothing.
+   * Renders the card of the menu item with the given uid in place of its lazy-render placeholder,
+   * caches the new cards and binds the events to them.
    *
-   * @return {void} Does not return any value.
+   * @param {string|number} uid - The uid of the menu item.
+   * @return {HTMLElement|null} The rendered card or `null` if there is nothing to render.
    */
-  initNoScrollHelper() {
-    if (this.settings.scrollHelper) {
-      const body = document.body;
-      let helper = body.querySelector('.no-scroll-helper');
-      const content = document.querySelector(`.${this.settings.contentSectionClass}`);
+  renderCard(uid) {
+    const existingCard = this.getCardByUid(uid);
+    if (existingCard) {
+      return existingCard;
+    }
 
-      if (!helper) {
-        if (content) {
-          content.innerHTML = `<div class="no-scroll-helper"><div class="no-scroll-helper-inner">${content.innerHTML}</div></div>`;
-        } else {
-          body.innerHTML = `<div class="no-scroll-helper"><div class="no-scroll-helper-inner">${body.innerHTML}</div></div>`;
-        }
-      }
+    const entry = this.settings.menuItemsIndex.get(String(uid));
+    const placeholder = this.settings.$menu.querySelector(`template[data-slide-nav-lazy="${this.escapeSelector(uid)}"]`);
+    if (!entry || !placeholder || !entry.item.children?.length) {
+      return null;
+    }
+
+    const $container = placeholder.parentElement;
+    placeholder.insertAdjacentHTML('beforebegin', this.buildHtml(entry.item.children, entry.item, entry.level + 1));
+    placeholder.remove();
+
+    this.settings.$cards =
+      Array.from(this.settings.$menu.querySelectorAll(`.${this.settings.menuCardClass}`));
+
+    this.bindCardEvents($container);
+    this.resizeCards();
+
+    if (this.$element.classList.contains(this.settings.openStatusClass)) {
+      this.disableTabIndexOnAllCards();
     }
+
+    return this.getCardByUid(uid);
   }
 
   /**
@@ -770,8 +2996,18 @@ class Madj2kSlideMenu {
 
     items.forEach(item => {
       const marker = this.getItemMarker(item, parentItem, level);
-      if (item.hasSubpages && item.children?.length) {
-        marker.submenu = this.buildHtml(item.children, item, level + 1);
+      if (item.hasSubpages) {
+
+        // with lazyRender only the active path is rendered initially - all other cards on demand
+        if (
+          this.settings.lazyRender &&
+          !item.active &&
+          (item.children?.length || typeof this.settings.loadChildrenCallback === 'function')
+        ) {
+          marker.submenu = `<template data-slide-nav-lazy="${this.escapeHtml(item.data.uid)}"></template>`;
+        } else if (item.children?.length) {
+          marker.submenu = this.buildHtml(item.children, item, level + 1);
+        }
       }
       html += this.replaceHtml(this.settings.menuItemTemplate, marker);
     });
@@ -782,7 +3018,7 @@ class Madj2kSlideMenu {
       html = this.replaceHtml(this.settings.subMenuWrapTemplate, marker);
     } else {
       html = this.replaceHtml(this.settings.menuWrapTemplate, {
-        uid: items[0].data.pid,
+        uid: items[0]?.data.pid ?? 0,
         menuItems: html,
         levelClass: 'level-1'
       });
@@ -797,10 +3033,11 @@ class Madj2kSlideMenu {
    * @param {Object} item - The item object for which the marker is being generated.
    * @param {Object|null} [parentItem=null] - The parent item object, if available. Defaults to null.
    * @param {number} [level=0] - The hierarchical level of the item within the navigation structure. Defaults to 0.
+   * Custom markers can be added or changed via the `markerCallback` option.
    * @return {Object} - An object containing various properties and attributes related to the item, such as classes, ARIA attributes, hierarchical level, and metadata.
    */
   getItemMarker(item, parentItem = null, level = 0) {
-    return {
+    const marker = {
       activeClass: item.active ? this.settings.activeStatusClass : '',
       currentClass: item.current ? this.settings.currentStatusClass : '',
       levelClass: `level-${level + 1}`,
@@ -808,17 +3045,23 @@ class Madj2kSlideMenu {
       ariaExpanded: item.current ? 'true' : 'false',
       hasChildrenClass: item.hasSubpages ? this.settings.hasChildrenStatusClass : '',
       hasChildren: !!item.hasSubpages,
+      isActive: !!item.active,
+      isCurrent: !!item.current,
+      isLinked: !!item.isLinked,
       linkTypeClass: item.linkType ? `${this.settings.linkTypeClass}-${item.linkType}` : '',
       isLinkedClass: item.isLinked ? this.settings.isLinkedClass : '',
       uid: item.data.uid,
-      titleRaw: item.data.title,
+      titlePlain: item.data.title,
+      titleRaw: item.data.title, // deprecated, use titlePlain (escaped like all markers)
       title: item.title,
-      link: item.link,
+      link: this.sanitizeUrl(item.link),
       target: item.target || '_self',
       parentUid: item.data.pid,
       parentTitle: parentItem?.title || '',
-      parentLink: parentItem?.link || '',
+      parentLink: this.sanitizeUrl(parentItem?.link || ''),
       parentTarget: parentItem?.target || '_self',
+      level: level + 1,
+      data: item.data,
 
       ifIsLinkedStart: item.isLinked ? '' : '<!--',
       ifIsLinkedEnd: item.isLinked ? '' : '-->',
@@ -830,19 +3073,308 @@ class Madj2kSlideMenu {
       ifHasNoChildrenStart: item.hasSubpages ? '<!--' : '',
       ifHasNoChildrenEnd: item.hasSubpages ? '-->' : '',
     };
+
+    if (typeof this.settings.markerCallback === 'function') {
+      return this.settings.markerCallback(marker, item, parentItem, level, this) || marker;
+    }
+
+    return marker;
   }
 
   /**
-   * Replaces placeholder tokens in the provided HTML string with corresponding values from the data object.
+   * Renders the provided template with the values from the data object.
    *
-   * @param {string} html The HTML string containing placeholders in the format %key%.
-   * @param {Object} data An object containing key-value pairs where keys correspond to the placeholders in the HTML string.
-   * @return {string} The HTML string with all matching placeholders replaced with their corresponding values,
-   * or an empty string for placeholders with no matching key in the data object.
+   * Supported syntax:
+   * - `{{key}}` outputs the HTML-escaped value, `{{{key}}}` the raw value (dot notation like `data.title` is supported)
+   * - `{{#if key}}…{{else}}…{{/if}}` and `{{#unless key}}…{{/unless}}` for conditional blocks
+   * - `{{#each key}}…{{else}}…{{/each}}` for loops over arrays (`{{this}}` and `{{index}}` refer to the current entry)
+   * - `%key%` for the legacy placeholders, which are HTML-escaped, too, and `%raw:key%` for the raw value
+   * The top-level markers containing generated HTML (see isHtmlMarker()) are never escaped, markers containing
+   * user input (see isUserInputMarker()) always. Inside `{{#each}}` properties of the entries are escaped even
+   * if they share the name of a generated marker.
+   *
+   * @param {string|Function} html The template containing the placeholders and blocks, or a function `(data, menu)` returning it.
+   * @param {Object} data An object containing key-value pairs where keys correspond to the placeholders in the template.
+   * @return {string} The rendered HTML string. Placeholders with no matching key in the data object are replaced with an empty string.
    */
   replaceHtml(html, data) {
-    return html.replace(/%(\w+)%/g, (m, key) =>
-      Object.prototype.hasOwnProperty.call(data, key) ? data[key] : ''
+
+    // the output of function templates differs per call and is therefore not cached
+    if (typeof html === 'function') {
+      return this.renderTemplateNodes(this.compileTemplate(html(data, this) || ''), data, this.getHtmlMarkers(data));
+    }
+
+    if (!this.settings.compiledTemplates.has(html)) {
+      this.settings.compiledTemplates.set(html, this.compileTemplate(html));
+    }
+
+    return this.renderTemplateNodes(this.settings.compiledTemplates.get(html), data, this.getHtmlMarkers(data));
+  }
+
+  /**
+   * Returns the keys of the given marker object that contain generated HTML.
+   *
+   * @param {Object} data The marker object passed to replaceHtml().
+   * @return {Set<string>} The keys of the markers to output raw.
+   */
+  getHtmlMarkers(data) {
+    return new Set(Object.keys(data).filter(key => this.isHtmlMarker(key)));
+  }
+
+  /**
+   * Parses the given template into a tree of text, placeholder and block nodes.
+   *
+   * @param {string} html The template to parse.
+   * @return {Array<Object>} The nodes of the template.
+   */
+  compileTemplate(html) {
+    const tokens = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*#(if|unless|each)\s+([\w.]+)\s*\}\}|\{\{\s*(else)\s*\}\}|\{\{\s*\/(if|unless|each)\s*\}\}|\{\{\s*([\w.]+)\s*\}\}|%(raw:)?(\w+)%/g;
+    const root = { children: [] };
+    const stack = [{ node: root, target: root.children }];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tokens.exec(html)) !== null) {
+      const [, raw, blockType, blockName, elseToken, closeType, name, legacyRaw, legacyName] = match;
+      const current = stack[stack.length - 1];
+
+      if (match.index > lastIndex) {
+        current.target.push({ type: 'text', value: html.slice(lastIndex, match.index) });
+      }
+      lastIndex = tokens.lastIndex;
+
+      if (raw) {
+        current.target.push({ type: 'variable', name: raw, raw: true });
+
+      } else if (blockType) {
+        const node = { type: blockType, name: blockName, children: [], elseChildren: [] };
+        current.target.push(node);
+        stack.push({ node: node, target: node.children });
+
+      } else if (elseToken) {
+        if (stack.length > 1) {
+          current.target = current.node.elseChildren;
+        } else {
+          console.warn('Unexpected {{else}} in slide menu template.');
+        }
+
+      } else if (closeType) {
+        if (stack.length > 1 && current.node.type === closeType) {
+          stack.pop();
+        } else {
+          console.warn(`Unexpected {{/${closeType}}} in slide menu template.`);
+        }
+
+      } else if (name) {
+        current.target.push({ type: 'variable', name: name, raw: false });
+
+      } else {
+        current.target.push({ type: 'variable', name: legacyName, raw: !!legacyRaw, legacy: true });
+      }
+    }
+
+    if (lastIndex < html.length) {
+      stack[stack.length - 1].target.push({ type: 'text', value: html.slice(lastIndex) });
+    }
+
+    stack.slice(1).forEach(({ node }) => {
+      console.warn(`Unclosed {{#${node.type} ${node.name}}} in slide menu template.`);
+    });
+
+    return root.children;
+  }
+
+  /**
+   * Renders the given template nodes with the values from the data object.
+   *
+   * @param {Array<Object>} nodes The nodes returned by compileTemplate().
+   * @param {Object} data The values for the placeholders and blocks.
+   * @param {Set<string>} htmlMarkers The keys of the data object containing generated HTML (see getHtmlMarkers()).
+   * @return {string} The rendered HTML string.
+   */
+  renderTemplateNodes(nodes, data, htmlMarkers = new Set()) {
+    return nodes.map(node => {
+      switch (node.type) {
+
+        case 'text':
+          return node.value;
+
+        case 'variable': {
+          const value = node.legacy
+            ? (Object.prototype.hasOwnProperty.call(data, node.name) ? data[node.name] : undefined)
+            : this.getTemplateValue(data, node.name);
+          const output = (value === undefined || value === null) ? '' : String(value);
+          const raw = (node.raw && !this.isUserInputMarker(node.name)) || htmlMarkers.has(node.name);
+          if (raw) return output;
+
+          return this.isTitleMarker(node.name) ? this.escapeTitle(output) : this.escapeHtml(output);
+        }
+
+        case 'if':
+        case 'unless': {
+          let condition = this.isTruthyTemplateValue(this.getTemplateValue(data, node.name));
+          if (node.type === 'unless') condition = !condition;
+          return this.renderTemplateNodes(condition ? node.children : node.elseChildren, data, htmlMarkers);
+        }
+
+        case 'each': {
+          const list = this.getTemplateValue(data, node.name);
+          if (!Array.isArray(list) || !list.length) {
+            return this.renderTemplateNodes(node.elseChildren, data, htmlMarkers);
+          }
+
+          return list.map((entry, index) => {
+            const values = (entry && typeof entry === 'object') ? entry : {};
+
+            // properties of the entries are data, even if they share the name of a generated marker
+            const entryHtmlMarkers = new Set([...htmlMarkers].filter(key => !Object.prototype.hasOwnProperty.call(values, key)));
+
+            return this.renderTemplateNodes(
+              node.children,
+              Object.assign({}, data, values, { this: entry, index: index }),
+              entryHtmlMarkers
+            );
+          }).join('');
+        }
+      }
+
+      return '';
+    }).join('');
+  }
+
+  /**
+   * Returns the value of the given key from the data object. Supports dot notation for nested values.
+   *
+   * @param {Object} data The data object.
+   * @param {string} key The key, e.g. `title` or `data.uid`.
+   * @return {*} The value or `undefined` if it does not exist.
+   */
+  getTemplateValue(data, key) {
+    return key.split('.').reduce((value, part) =>
+      (value !== undefined && value !== null && Object.prototype.hasOwnProperty.call(Object(value), part))
+        ? value[part]
+        : undefined,
+      data
     );
   }
+
+  /**
+   * Checks whether the given value counts as true in conditional blocks.
+   * Besides the usual falsy values, empty arrays and the string '0' count as false.
+   *
+   * @param {*} value The value to check.
+   * @return {boolean} Whether the value counts as true.
+   */
+  isTruthyTemplateValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return !!value && value !== '0';
+  }
+
+  /**
+   * Checks whether the given marker contains generated HTML, which must never be escaped.
+   * Only applies to the top-level markers of replaceHtml(), see getHtmlMarkers().
+   *
+   * @param {string} key The key of the marker.
+   * @return {boolean} Whether the marker contains generated HTML.
+   */
+  isHtmlMarker(key) {
+    return [
+      'menuItems',
+      'submenu',
+      'ifIsLinkedStart',
+      'ifIsLinkedEnd',
+      'ifIsNotLinkedStart',
+      'ifIsNotLinkedEnd',
+      'ifHasChildrenStart',
+      'ifHasChildrenEnd',
+      'ifHasNoChildrenStart',
+      'ifHasNoChildrenEnd'
+    ].includes(key);
+  }
+
+  /**
+   * Checks whether the given marker contains a title, which may contain character references
+   * and line breaks (see escapeTitle()).
+   *
+   * @param {string} key The key of the marker.
+   * @return {boolean} Whether the marker contains a title.
+   */
+  isTitleMarker(key) {
+    return ['title', 'parentTitle'].includes(key);
+  }
+
+  /**
+   * Checks whether the given marker contains input of the user (e.g. the search query),
+   * which is always escaped - even if it is used as raw marker.
+   *
+   * @param {string} key The key of the marker.
+   * @return {boolean} Whether the marker contains input of the user.
+   */
+  isUserInputMarker(key) {
+    return ['query'].includes(key);
+  }
+
+  /**
+   * Validates the scheme of the given URL against `allowedUrlSchemes`.
+   * Relative URLs, anchors and URLs with an allowed scheme are returned unchanged,
+   * all other URLs (e.g. `javascript:` or `data:`) are replaced with `#`.
+   *
+   * @param {string} url The URL to validate.
+   * @return {string} The URL or `#` if the scheme is not allowed.
+   */
+  sanitizeUrl(url) {
+    if (url === undefined || url === null) return '';
+
+    url = String(url).trim();
+
+    // browsers ignore control characters and whitespace within the scheme
+    const scheme = url.replace(/[\u0000-\u0020\u007F]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return url;
+
+    const allowedSchemes = this.settings.allowedUrlSchemes.map(allowed => allowed.toLowerCase());
+    return allowedSchemes.includes(scheme[1].toLowerCase()) ? url : '#';
+  }
+
+  /**
+   * Escapes the given string for the use in HTML text and attribute values.
+   *
+   * @param {string} value The string to escape.
+   * @return {string} The escaped string.
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  /**
+   * Escapes the given title like escapeHtml(), but keeps a narrow allowlist of markup that is commonly
+   * used in titles (e.g. by TYPO3's parseFunc): character references like `&shy;` or `&#173;`
+   * and the tags `<br>` and `<wbr>` without attributes.
+   *
+   * @param {string} value The title to escape.
+   * @return {string} The escaped title.
+   */
+  escapeTitle(value) {
+    return this.escapeHtml(value)
+      .replace(/&amp;(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi, '&$1;')
+      .replace(/&lt;(br|wbr)\s*\/?&gt;/gi, '<$1>');
+  }
+
+  /**
+   * Escapes the given value for the use in a CSS selector, e.g. in an attribute selector.
+   *
+   * @param {string|number} value The value to escape.
+   * @return {string} The escaped value.
+   */
+  escapeSelector(value) {
+    if (window.CSS?.escape) {
+      return window.CSS.escape(String(value));
+    }
+
+    return String(value).replace(/["\\]/g, '\\$&');
+  }
 }
@@ -0,0 +1,476 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const load = require('./helpers/load');
+
+const tick = (window, ms = 10) => new Promise(resolve => window.setTimeout(resolve, ms));
+
+const html = `
+  <button class="js-flyout-toggle" id="toggle-1" aria-controls="flyout-menu">Menu</button>
+  <button class="js-flyout-toggle" id="toggle-2" aria-controls="flyout-menu">Menu</button>
+  <div id="flyout-menu" class="js-flyout">
+    <div class="js-flyout-container">
+      <div class="js-flyout-inner">
+        <button class="js-flyout-level-toggle" id="level-toggle-1" aria-controls="level-1">Level 1</button>
+        <div class="js-flyout-level" id="level-1"><a href="/page">Page</a></div>
+        <button class="js-flyout-level-toggle" id="level-toggle-2" aria-controls="level-2" aria-haspopup="menu">Level 2</button>
+        <div class="js-flyout-level" id="level-2"><a href="/page">Page</a></div>
+      </div>
+      <button class="js-flyout-close">Close</button>
+    </div>
+  </div>`;
+
+function setup(markup = html) {
+  const {window, document, Menu} = load(markup, 'menus/flyout-menu/flyout-menu-2.0.js', 'Madj2kFlyoutMenu');
+  const create = (id, options = {}) => new Menu(document.getElementById(id), {
+    animationDuration: 0,
+    scrollHelper: false,
+    ...options
+  });
+
+  return {window, document, Menu, create, $menu: document.getElementById('flyout-menu')};
+}
+
+test('a destroyed instance no longer responds', async () => {
+  const {window, document, create, $menu} = setup();
+  const menu = create('toggle-1');
+  const $toggle = document.getElementById('toggle-1');
+
+  $toggle.click();
+  assert.ok(menu.isOpen());
+  $toggle.click();
+  await tick(window);
+  assert.ok(!menu.isOpen());
+
+  let destroyed = false;
+  document.addEventListener('madj2k-flyoutmenu-destroyed', () => destroyed = true);
+  menu.destroy();
+  assert.ok(destroyed);
+
+  $toggle.click();
+  $toggle.dispatchEvent(new window.KeyboardEvent('keydown', {key: 'Enter', bubbles: true}));
+  document.dispatchEvent(new window.CustomEvent('madj2k-flyoutmenu-open', {detail: {id: 'flyout-menu'}}));
+  assert.ok(!$menu.classList.contains('open'));
+  assert.strictEqual($toggle.getAttribute('aria-expanded'), 'false');
+});
+
+test('destroy() removes the menu classes and the attributes added to the levels', () => {
+  const {document, create, $menu} = setup();
+  const menu = create('toggle-1');
+
+  assert.ok($menu.classList.contains('event-mode-click'));
+  assert.strictEqual(document.getElementById('level-toggle-1').getAttribute('aria-haspopup'), 'true');
+
+  menu.destroy();
+
+  assert.ok(!$menu.classList.contains('event-mode-click'));
+  assert.ok(!document.getElementById('level-toggle-1').hasAttribute('aria-haspopup'));
+  assert.ok(!document.getElementById('level-1').hasAttribute('aria-labelledby'));
+  assert.ok(!document.getElementById('level-1').hasAttribute('aria-hidden'));
+
+  // attributes of the markup are kept
+  assert.strictEqual(document.getElementById('level-toggle-2').getAttribute('aria-haspopup'), 'menu');
+});
+
+test('destroy() keeps a menu shared with another instance intact', async () => {
+  const {window, document, Menu, create, $menu} = setup();
+  const first = create('toggle-1');
+  const second = create('toggle-2');
+
+  document.getElementById('toggle-2').click();
+  assert.ok(second.isOpen());
+
+  first.destroy();
+
+  assert.ok($menu.classList.contains('open'));
+  assert.ok($menu.classList.contains('event-mode-click'));
+  assert.strictEqual(document.getElementById('level-toggle-1').getAttribute('aria-haspopup'), 'true');
+  assert.strictEqual(Menu.getInstances('flyout-menu').length, 1);
+  assert.strictEqual(Menu.getInstance('flyout-menu'), second);
+
+  document.getElementById('toggle-2').click();
+  await tick(window);
+  assert.ok(!second.isOpen());
+});
+
+test('only the owner of a shared menu traps the focus', () => {
+  const {window, document, create} = setup();
+  create('toggle-1');
+  create('toggle-2');
+
+  const $owner = document.getElementById('toggle-1');
+  $owner.click();
+  $owner.focus();
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', {key: 'Tab', bubbles: true, cancelable: true}));
+  assert.strictEqual(document.activeElement, $owner);
+});
+
+test('levels open and close by click and keyboard', async () => {
+  const {window, document, create} = setup();
+  const menu = create('toggle-1', {levelAnimationDuration: 0});
+  const $levelToggle = document.getElementById('level-toggle-1');
+  const $level = document.getElementById('level-1');
+  const events = [];
+  ['opened', 'closed'].forEach(type => {
+    document.addEventListener(`madj2k-flyoutmenu-level2-${type}`, () => events.push(type));
+  });
+
+  menu.open();
+  $levelToggle.click();
+  assert.ok($level.classList.contains('open'));
+  assert.strictEqual($levelToggle.getAttribute('aria-expanded'), 'true');
+  assert.strictEqual($level.getAttribute('aria-hidden'), 'false');
+
+  // only one level per depth is open
+  document.getElementById('level-toggle-2').click();
+  assert.ok(!$level.classList.contains('open'));
+  assert.ok(document.getElementById('level-2').classList.contains('open'));
+  document.getElementById('level-toggle-2').click();
+
+  $levelToggle.focus();
+  $levelToggle.dispatchEvent(new window.KeyboardEvent('keydown', {key: 'ArrowRight', bubbles: true}));
+  assert.ok($level.classList.contains('open'));
+  assert.strictEqual(document.activeElement, $level.querySelector('a'));
+
+  document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', {key: 'ArrowLeft', bubbles: true}));
+  assert.ok(!$level.classList.contains('open'));
+  assert.strictEqual(document.activeElement, $levelToggle);
+
+  await tick(window);
+  assert.deepStrictEqual([...events], ['opened', 'closed', 'opened', 'closed', 'opened', 'closed']);
+});
+
+test('a click on an open level link navigates in mouseover mode', async () => {
+  const {window, document, create} = setup(html.replace(
+    '<button class="js-flyout-level-toggle" id="level-toggle-1" aria-controls="level-1">Level 1</button>',
+    '<a href="/products" class="js-flyout-level-toggle" id="level-toggle-1" aria-controls="level-1">Level 1</a>'
+  ));
+  const menu = create('toggle-1', {eventMode: 'mouseover', hoverOpenDelay: 0, levelAnimationDuration: 0});
+  const $levelToggle = document.getElementById('level-toggle-1');
+  const $level = document.getElementById('level-1');
+  const click = () => {
+    const event = new window.MouseEvent('click', {bubbles: true, cancelable: true});
+    $levelToggle.dispatchEvent(event);
+    return event;
+  };
+
+  menu.open();
+  $levelToggle.dispatchEvent(new window.MouseEvent('mouseenter'));
+  await tick(window);
+  assert.ok($level.classList.contains('open'));
+
+  assert.ok(!click().defaultPrevented);
+  assert.ok($level.classList.contains('open'));
+
+  // a closed level is opened by click, e.g. on touch devices
+  menu.closeLevel($levelToggle);
+  assert.ok(click().defaultPrevented);
+  assert.ok($level.classList.contains('open'));
+});
+
+test('dropdowns flip and shift into the viewport without page-level side effects', async () => {
+  const {window, document, create, $menu} = setup(
+    `<div class="no-scroll-helper"><div class="no-scroll-helper-inner">${html}</div></div>`
+  );
+  const menu = create('toggle-1', {heightMode: 'dropdown', scrollHelper: true});
+  const $toggle = document.getElementById('toggle-1');
+  const position = (left, right) => {
+    $toggle.getBoundingClientRect = () => ({top: 0, bottom: 40, left, right, width: right - left, height: 40});
+    menu.positionDropdown();
+    return parseInt($menu.style.left);
+  };
+
+  Object.defineProperty(document.documentElement, 'clientWidth', {value: 1000});
+  Object.defineProperty($menu, 'offsetWidth', {value: 200});
+
+  menu.open();
+  assert.ok(menu.isOpen());
+  assert.strictEqual(document.body.className, '');
+  assert.strictEqual(document.querySelector('.no-scroll-helper').hasAttribute('style'), false);
+
+  // fits at the start of the toggle
+  assert.strictEqual(position(100, 140), 100);
+  assert.ok(!$menu.classList.contains('dropdown-align-end'));
+
+  // flipped to the end of the toggle
+  assert.strictEqual(position(900, 980), 780);
+  assert.ok($menu.classList.contains('dropdown-align-end'));
+
+  // neither side fits: shifted into the viewport
+  menu.settings.dropdownAlign = 'end';
+  assert.strictEqual(position(0, 40), 10);
+  assert.ok($menu.classList.contains('dropdown-align-end'));
+
+  menu.close();
+  await tick(window);
+  assert.ok(!menu.isOpen());
+  assert.strictEqual(document.body.className, '');
+});
+
+test('hover intent delays opening and closing in mouseover mode', async () => {
+  const {window, document, create, $menu} = setup();
+  const menu = create('toggle-1', {eventMode: 'mouseover', hoverOpenDelay: 40, hoverCloseDelay: 80});
+  const $toggle = document.getElementById('toggle-1');
+  const mouse = (target, type, x = 0, y = 0, relatedTarget = null) =>
+    target.dispatchEvent(new window.MouseEvent(type, {clientX: x, clientY: y, relatedTarget, bubbles: type === 'mousemove'}));
+
+  $menu.getBoundingClientRect = () => ({top: 100, bottom: 300, left: 0, right: 400, width: 400, height: 200});
+
+  // leaving before hoverOpenDelay cancels the opening
+  mouse($toggle, 'mouseenter');
+  await tick(window);
+  mouse($toggle, 'mouseleave', 200, 50, document.body);
+  await tick(window, 60);
+  assert.ok(!menu.isOpen());
+
+  mouse($toggle, 'mouseenter');
+  await tick(window, 60);
+  assert.ok(menu.isOpen());
+
+  // moving into the menu keeps it open
+  mouse($toggle, 'mouseleave', 200, 50, $menu);
+  await tick(window, 120);
+  assert.ok(menu.isOpen());
+
+  // moving towards the menu postpones closing
+  mouse($menu.querySelector('.js-flyout-container'), 'mouseleave', 200, 50, document.body);
+  for (let y = 60; y <= 90; y += 10) {
+    await tick(window, 30);
+    mouse(document.body, 'mousemove', 200, y);
+  }
+  assert.ok(menu.isOpen());
+
+  // closes after hoverCloseDelay once the pointer stops
+  await tick(window, 120);
+  assert.ok(!menu.isOpen());
+});
+
+test('without hover intent the menu closes after hoverCloseDelay', async () => {
+  const {window, document, create, $menu} = setup();
+  const menu = create('toggle-1', {eventMode: 'mouseover', hoverOpenDelay: 0, hoverCloseDelay: 40, hoverIntent: false});
+  const $toggle = document.getElementById('toggle-1');
+
+  $menu.getBoundingClientRect = () => ({top: 100, bottom: 300, left: 0, right: 400, width: 400, height: 200});
+
+  $toggle.dispatchEvent(new window.MouseEvent('mouseenter'));
+  await tick(window);
+  assert.ok(menu.isOpen());
+
+  $toggle.dispatchEvent(new window.MouseEvent('mouseleave', {clientX: 200, clientY: 50, relatedTarget: document.body}));
+  await tick(window, 20);
+  document.body.dispatchEvent(new window.MouseEvent('mousemove', {clientX: 200, clientY: 60, bubbles: true}));
+  assert.ok(menu.isOpen());
+
+  await tick(window, 60);
+  assert.ok(!menu.isOpen());
+});
+
+test('triggers of the same menu and the hover group share the hover state', async () => {
+  const {window, document, create} = setup();
+  const $group = document.body.appendChild(document.createElement('div'));
+  const options = {eventMode: 'mouseover', hoverOpenDelay: 0, hoverCloseDelay: 30, hoverIntent: false, hoverGroup: [$group]};
+  const first = create('toggle-1', options);
+  const second = create('toggle-2', options);
+  const $first = document.getElementById('toggle-1');
+  const $second = document.getElementById('toggle-2');
+  const mouse = (target, type, relatedTarget = null) =>
+    target.dispatchEvent(new window.MouseEvent(type, {relatedTarget}));
+
+  mouse($first, 'mouseenter');
+  assert.ok(first.isOpen());
+  assert.strictEqual(first.getOwner(), $first);
+
+  // moving to the other trigger keeps the menu open and transfers the ownership
+  mouse($first, 'mouseleave', $second);
+  mouse($second, 'mouseenter', $first);
+  await tick(window, 60);
+  assert.ok(second.isOpen());
+  assert.strictEqual(second.getOwner(), $second);
+  assert.ok(!$first.classList.contains('open'));
+  assert.strictEqual($first.getAttribute('aria-expanded'), 'false');
+  assert.strictEqual($second.getAttribute('aria-expanded'), 'true');
+
+  // moving into the hover group keeps the menu open
+  mouse($second, 'mouseleave', $group);
+  await tick(window, 60);
+  assert.ok(second.isOpen());
+
+  mouse($second, 'mouseleave', document.body);
+  await tick(window, 60);
+  assert.ok(!second.isOpen());
+});
+
+test('the registry finds instances and events can target a menu by id', async () => {
+  const {window, document, Menu, create} = setup(html + `
+    <button class="js-flyout-toggle" id="toggle-3" aria-controls="other-menu">Other</button>
+    <div id="other-menu" class="js-flyout"><div class="js-flyout-container"><div class="js-flyout-inner"></div></div></div>`);
+  const first = create('toggle-1');
+  const second = create('toggle-2');
+  const other = create('toggle-3');
+  const dispatch = (name, detail) => document.dispatchEvent(new window.CustomEvent(name, {detail}));
+  const opened = [];
+  document.addEventListener('madj2k-flyoutmenu-opened', e => opened.push(`${e.detail.id}:${e.detail.trigger.id}`));
+
+  assert.strictEqual(Menu.getInstances().length, 3);
+  assert.strictEqual(Menu.getInstances('flyout-menu').length, 2);
+  assert.strictEqual(Menu.getInstance('other-menu'), other);
+  assert.strictEqual(Menu.getInstance('missing'), null);
+  assert.strictEqual(Menu.getOpenInstance(), null);
+
+  // only one instance of the menu handles the event
+  dispatch('madj2k-flyoutmenu-open', {id: 'other-menu'});
+  await tick(window);
+  assert.ok(other.isOpen());
+  assert.strictEqual(Menu.getOpenInstance(), other);
+
+  // opening another menu closes the open one
+  document.getElementById('toggle-2').click();
+  await tick(window);
+  assert.ok(!other.isOpen());
+  assert.strictEqual(Menu.getOpenInstance(), second);
+  assert.strictEqual(Menu.getInstance('flyout-menu'), second);
+
+  // close events with an id only close that menu
+  dispatch('madj2k-flyoutmenu-close', {id: 'other-menu'});
+  await tick(window);
+  assert.ok(first.isOpen());
+
+  dispatch('madj2k-flyoutmenu-close', {id: 'flyout-menu'});
+  await tick(window);
+  assert.ok(!first.isOpen());
+
+  assert.deepStrictEqual(opened, ['other-menu:toggle-3', 'flyout-menu:toggle-2']);
+});
+
+test('closeOnOutsideClick closes the menu on clicks outside of it and its toggles', async () => {
+  const {window, document, create, $menu} = setup();
+  const menu = create('toggle-1', {closeOnOutsideClick: true});
+  const $outside = document.body.appendChild(document.createElement('p'));
+
+  document.getElementById('toggle-1').click();
+  await tick(window);
+
+  $menu.querySelector('.js-flyout-inner').click();
+  document.getElementById('toggle-2').click();
+  await tick(window);
+  assert.ok(menu.isOpen());
+
+  $outside.click();
+  await tick(window);
+  assert.ok(!menu.isOpen());
+});
+
+test('closeOnScroll closes the menu beyond the threshold, except in heightMode full', async () => {
+  const {window, document, create} = setup();
+  const scrollTo = (y) => {
+    Object.defineProperty(window, 'scrollY', {value: y, configurable: true});
+    window.dispatchEvent(new window.Event('scroll'));
+  };
+
+  const menu = create('toggle-1', {closeOnScroll: true, closeOnScrollThreshold: 50, heightMode: 'maxContent'});
+  scrollTo(100);
+  document.getElementById('toggle-1').click();
+  await tick(window);
+
+  scrollTo(140);
+  await tick(window);
+  assert.ok(menu.isOpen());
+
+  scrollTo(40);
+  await tick(window);
+  assert.ok(!menu.isOpen());
+
+  menu.destroy();
+  scrollTo(0);
+  const full = create('toggle-1', {closeOnScroll: true, closeOnScrollThreshold: 50, heightMode: 'full'});
+  document.getElementById('toggle-1').click();
+  await tick(window);
+
+  scrollTo(500);
+  await tick(window);
+  assert.ok(full.isOpen());
+});
+
+test('the menu follows its position reference while it is open', async () => {
+  const {window, document, create, $menu} = setup(
+    '<header id="header"></header>' + html.replace('id="flyout-menu"', 'id="flyout-menu" data-position-ref="header"')
+  );
+  const $header = document.getElementById('header');
+  let top = 100;
+  $header.getBoundingClientRect = () => ({top, bottom: top, left: 0, right: 0, width: 0, height: 0});
+
+  const menu = create('toggle-1');
+  document.getElementById('toggle-1').click();
+  await tick(window);
+  assert.strictEqual($menu.style.top, '100px');
+
+  // a shrinking sticky header
+  top = 60;
+  window.dispatchEvent(new window.Event('scroll'));
+  await tick(window, 40);
+  assert.strictEqual($menu.style.top, '60px');
+
+  // transitions of the menu itself are ignored
+  top = 20;
+  $menu.querySelector('.js-flyout-inner').dispatchEvent(new window.Event('transitionend', {bubbles: true}));
+  await tick(window, 40);
+  assert.strictEqual($menu.style.top, '60px');
+
+  $header.dispatchEvent(new window.Event('transitionend', {bubbles: true}));
+  await tick(window, 40);
+  assert.strictEqual($menu.style.top, '20px');
+
+  // no tracking once closed
+  menu.close();
+  await tick(window);
+  top = 0;
+  window.dispatchEvent(new window.Event('scroll'));
+  await tick(window, 40);
+  assert.strictEqual($menu.style.top, '20px');
+});
+
+test('the animation direction sets the menu classes and the container styles', async () => {
+  const {window, document, create, $menu} = setup();
+  const $container = $menu.querySelector('.js-flyout-container');
+  const $toggle = document.getElementById('toggle-1');
+
+  const menu = create('toggle-1', {animationDirection: 'left', animationUnit: 'vw'});
+  assert.ok($menu.classList.contains('animation-direction-left'));
+  assert.ok($menu.classList.contains('animation-unit-vw'));
+  assert.ok(!$menu.classList.contains('animation-transform'));
+
+  $toggle.click();
+  await tick(window);
+  assert.strictEqual($container.style.left, '0vw');
+  $toggle.click();
+  await tick(window);
+  assert.strictEqual($container.style.left, '-100vw');
+
+  // switching keeps a single direction class and applies the new hidden state
+  menu.setAnimationDirection('scale');
+  assert.ok($menu.classList.contains('animation-direction-scale'));
+  assert.ok(!$menu.classList.contains('animation-direction-left'));
+  assert.strictEqual($container.style.left, '');
+  assert.strictEqual($container.style.transform, 'scale(0.95)');
+
+  menu.setAnimationDirection('diagonal');
+  assert.ok($menu.classList.contains('animation-direction-scale'));
+  menu.destroy();
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    create('toggle-1', {animationDirection: 'diagonal', animationTransform: true});
+  } finally {
+    console.warn = warn;
+  }
+  assert.ok($menu.classList.contains('animation-direction-top'));
+  assert.ok($menu.classList.contains('animation-transform'));
+
+  $toggle.click();
+  await tick(window);
+  assert.strictEqual($container.style.transform, 'translate3d(0, 0, 0)');
+  $toggle.click();
+  await tick(window);
+  assert.strictEqual($container.style.transform, 'translate3d(0%, -100%, 0)');
+});
@@ -0,0 +1,27 @@
+/**
+ * Loads one of the menu scripts into a fresh jsdom window.
+ *
+ * The scripts define a global class without exports, so the source is evaluated
+ * inside the window and the class is returned.
+ *
+ * @param {string} html The body markup of the document.
+ * @param {string} file The path of the script, relative to the repository root.
+ * @param {string} name The name of the class defined by the script.
+ * @return {{dom: JSDOM, window: Window, document: Document, Menu: Function}}
+ */
+const fs = require('fs');
+const path = require('path');
+const {JSDOM} = require('jsdom');
+
+module.exports = function load(html, file, name) {
+  const dom = new JSDOM(html, {
+    url: 'https://example.org/',
+    pretendToBeVisual: true,
+    runScripts: 'outside-only'
+  });
+
+  const source = fs.readFileSync(path.join(__dirname, '..', '..', file), 'utf8');
+  const Menu = dom.window.eval('(function () {' + source + '\nreturn ' + name + ';})()');
+
+  return {dom, window: dom.window, document: dom.window.document, Menu};
+};
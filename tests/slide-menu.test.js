@@ -0,0 +1,390 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const load = require('./helpers/load');
+
+const tick = (window, ms = 10) => new Promise(resolve => window.setTimeout(resolve, ms));
+
+const html = '<button aria-controls="slide-menu"></button><div id="slide-menu"></div>';
+
+function createMenu(items, options = {}, prepare = () => {}) {
+  const {window, document, Menu} = load(html, 'menus/slide-menu/slide-menu-2.0.js', 'Madj2kSlideMenu');
+  prepare(window);
+
+  // jsdom has no layout: place all elements inside the viewport, so that the items of the open card are focusable
+  window.HTMLElement.prototype.getBoundingClientRect = () => ({top: 0, right: 101, bottom: 20, left: 1, width: 100, height: 20});
+
+  const menu = new Menu(document.querySelector('button'), {
+    menuItemsJson: items,
+    defaultTemplates: true,
+    scrollHelper: false,
+    ...options
+  });
+  menu.open();
+
+  return {window, document, menu, $menu: document.getElementById('slide-menu')};
+}
+
+function item(uid, title, link = '/page-' + uid) {
+  return {data: {uid, pid: 0, title}, title, link, hasSubpages: false};
+}
+
+function tree(uid, pid, title, children = []) {
+  return {data: {uid, pid, title}, title, link: '/page-' + uid, hasSubpages: children.length > 0, children};
+}
+
+function treeItems() {
+  return [
+    tree(1, 0, 'A', [tree(2, 1, 'A.1', [tree(3, 2, 'A.1.1', [tree(4, 3, 'A.1.1.1')])])]),
+    tree(5, 0, 'B', [tree(6, 5, 'B.1', [tree(7, 6, 'B.1.1')])])
+  ];
+}
+
+function recordSteps(document) {
+  const steps = [];
+  ['previous', 'next'].forEach(type => {
+    document.addEventListener(`madj2k-slidemenu-${type}-opened`, () => steps.push(type));
+  });
+  return steps;
+}
+
+test('hostile titles are rendered as text', () => {
+  const {$menu} = createMenu([
+    item(1, '"><script>alert(1)</script>'),
+    item(2, '<img src="x" onerror="alert(1)">')
+  ]);
+
+  assert.strictEqual($menu.querySelector('script'), null);
+  assert.strictEqual($menu.querySelector('img'), null);
+  assert.match($menu.textContent, /"><script>alert\(1\)<\/script>/);
+  assert.match($menu.textContent, /<img src="x" onerror="alert\(1\)">/);
+});
+
+test('hostile titles cannot break out of attributes', () => {
+  const {$menu} = createMenu([item(1, '" onmouseover="alert(1)')], {
+    templates: {
+      menuItem: '<li><a href="%link%" title="%titlePlain%" data-raw="%titleRaw%">%title%</a></li>'
+    }
+  });
+
+  const $link = $menu.querySelector('a');
+  assert.strictEqual($link.getAttribute('onmouseover'), null);
+  assert.strictEqual($link.getAttribute('title'), '" onmouseover="alert(1)');
+  assert.strictEqual($link.getAttribute('data-raw'), '" onmouseover="alert(1)');
+});
+
+test('javascript: links are replaced', () => {
+  const {$menu} = createMenu([
+    item(1, 'Script', 'javascript:alert(1)'),
+    item(2, 'Data', 'data:text/html,<script>alert(1)</script>'),
+    item(3, 'Page', '/page')
+  ]);
+
+  const links = [...$menu.querySelectorAll('a[href]')].map(($link) => $link.getAttribute('href'));
+  assert.ok(!links.some((link) => /^(javascript|data):/i.test(link)));
+  assert.ok(links.includes('/page'));
+});
+
+test('titles keep character references and line breaks', () => {
+  const {$menu} = createMenu([
+    item(1, 'Donau&shy;dampf&#173;schiff'),
+    item(2, 'First<br>Second<wbr/>Third'),
+    item(3, 'First<br onclick="alert(1)">Second')
+  ], {
+    templates: {
+      menuItem: '<li class="item-%uid%">%title%</li>'
+    }
+  });
+
+  assert.strictEqual($menu.querySelector('.item-1').textContent, 'Donau­dampf­schiff');
+  assert.ok($menu.querySelector('.item-2 br'));
+  assert.ok($menu.querySelector('.item-2 wbr'));
+  assert.strictEqual($menu.querySelector('.item-3 br'), null);
+  assert.match($menu.querySelector('.item-3').textContent, /<br onclick="alert\(1\)">/);
+});
+
+test('raw markers output trusted HTML', () => {
+  const {$menu} = createMenu([item(1, '<strong>Bold</strong>')], {
+    templates: {
+      menuItem: '<li class="item-%uid%">%raw:title%</li>'
+    }
+  });
+
+  assert.ok($menu.querySelector('.item-1 strong'));
+});
+
+test('default templates do not use menu roles without a menu', () => {
+  const child = {...item(2, 'Child'), data: {uid: 2, pid: 1, title: 'Child'}};
+  const {$menu} = createMenu([{...item(1, 'Parent'), hasSubpages: true, children: [child]}]);
+
+  assert.ok($menu.querySelector('a'));
+  assert.strictEqual($menu.querySelector('[role="menuitem"]'), null);
+  assert.strictEqual($menu.querySelector('[role="none"]'), null);
+});
+
+test('goToCard() animates through all intermediate cards', async () => {
+  const {document, menu} = createMenu(treeItems(), {animationDuration: 1});
+  const steps = recordSteps(document);
+
+  assert.strictEqual(await menu.goToCard(3), true);
+  assert.strictEqual(menu.getPath().join('/'), '0/1/2/3');
+
+  assert.strictEqual(await menu.goToCard(6), true);
+  assert.strictEqual(menu.getPath().join('/'), '0/5/6');
+
+  assert.deepStrictEqual(steps, ['next', 'next', 'next', 'previous', 'previous', 'previous', 'next', 'next']);
+});
+
+test('breadcrumb entries jump straight to their card', async () => {
+  const {document, menu, $menu} = createMenu(treeItems(), {animationDuration: 1, breadcrumb: true});
+  const steps = recordSteps(document);
+
+  await menu.goToCard(4);
+  steps.length = 0;
+
+  $menu.querySelector('[data-slide-nav-breadcrumb="1"]').click();
+  await menu.queueNavigation(() => true);
+
+  assert.strictEqual(menu.getPath().join('/'), '0/1');
+  assert.deepStrictEqual(steps, ['previous']);
+});
+
+test('failing navigation steps resolve with false', async () => {
+  const {window, menu} = createMenu(treeItems());
+  const warn = window.console.warn;
+  window.console.warn = () => {};
+
+  assert.strictEqual(await menu.queueNavigation(() => { throw new Error('failed'); }), false);
+  assert.strictEqual(await menu.queueNavigation(() => Promise.reject(new Error('failed'))), false);
+  assert.strictEqual(await menu.queueNavigation(() => true), true);
+
+  window.console.warn = warn;
+});
+
+test('uids with quotes and backslashes can be navigated', async () => {
+  const {window, document, menu, $menu} = createMenu([
+    tree('a"b\\c', 0, 'Parent', [tree('d"e', 'a"b\\c', 'Child', [tree(9, 'd"e', 'Grandchild')])])
+  ], {animationDuration: 1});
+
+  assert.strictEqual(await menu.goToCard('d"e'), true);
+  assert.strictEqual(menu.getPath().join('/'), '0/a"b\\c/d"e');
+  assert.strictEqual($menu.querySelector('[aria-expanded="true"]').getAttribute('aria-controls'), 'slide-card-d"e');
+
+  menu.getCardItems(menu.settings.$openCard)[0]
+    .dispatchEvent(new window.KeyboardEvent('keydown', {key: 'ArrowLeft', bubbles: true}));
+  await menu.queueNavigation(() => true);
+  await tick(window);
+
+  assert.strictEqual(menu.getPath().join('/'), '0/a"b\\c');
+  assert.strictEqual(document.activeElement.getAttribute('aria-controls'), 'slide-card-d"e');
+});
+
+test('properties named like generated markers are escaped inside each blocks', () => {
+  const {$menu} = createMenu([item(1, 'Page')], {
+    markerCallback: (marker) => {
+      marker.badges = [{submenu: '<img src="x" onerror="alert(1)">', menuItems: '<script>alert(1)</script>'}];
+      return marker;
+    },
+    templates: {
+      menuItem: '<li class="item-%uid%">{{#each badges}}<span>{{submenu}}</span><span>%menuItems%</span>{{/each}}{{{submenu}}}</li>'
+    }
+  });
+
+  const $item = $menu.querySelector('.item-1');
+  assert.strictEqual($item.querySelector('img'), null);
+  assert.strictEqual($item.querySelector('script'), null);
+  assert.match($item.textContent, /<img src="x" onerror="alert\(1\)">/);
+});
+
+test('destroy() restores the attributes of toggle and menu container', async () => {
+  const {document, menu, $menu} = createMenu(treeItems(), {animationDuration: 1});
+  const $toggle = document.querySelector('button');
+
+  assert.ok($toggle.hasAttribute('aria-expanded'));
+  await menu.goToCard(2);
+  menu.destroy();
+
+  assert.strictEqual($toggle.hasAttribute('class'), false);
+  assert.strictEqual($toggle.hasAttribute('aria-expanded'), false);
+  assert.strictEqual($menu.hasAttribute('class'), false);
+  assert.strictEqual($menu.hasAttribute('style'), false);
+  assert.strictEqual($menu.hasAttribute('aria-busy'), false);
+  assert.strictEqual($menu.innerHTML, '');
+});
+
+test('arrow keys and typeahead move between the items of a card', async () => {
+  const {window, document, menu} = createMenu([
+    item(1, 'Apple'), item(2, 'Banana'), item(3, 'Berry'), tree(4, 0, 'Cherry', [tree(5, 4, 'Cherry pie')])
+  ], {animationDuration: 1});
+  const press = key => document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', {key, bubbles: true}));
+  const focused = () => document.activeElement.textContent.trim();
+
+  // wait for the opening animation
+  await tick(window);
+  menu.getCardItems(menu.settings.$openCard)[0].focus();
+  assert.strictEqual(focused(), 'Apple');
+
+  press('ArrowDown');
+  assert.strictEqual(focused(), 'Banana');
+  press('End');
+  assert.strictEqual(focused(), 'Cherry');
+  press('ArrowDown');
+  assert.strictEqual(focused(), 'Apple');
+  press('ArrowUp');
+  assert.strictEqual(focused(), 'Cherry');
+  press('Home');
+  assert.strictEqual(focused(), 'Apple');
+
+  // typing the same character cycles through the items starting with it
+  press('b');
+  assert.strictEqual(focused(), 'Banana');
+  press('b');
+  assert.strictEqual(focused(), 'Berry');
+  menu.settings.typeahead.query = '';
+  press('c');
+  assert.strictEqual(focused(), 'Cherry');
+
+  press('ArrowRight');
+  await menu.queueNavigation(() => true);
+  assert.strictEqual(menu.getPath().join('/'), '0/4');
+});
+
+test('swiping the open card commits the back navigation or snaps back', async () => {
+  const {window, document, menu} = createMenu(treeItems(), {animationDuration: 1, swipe: true});
+  const $wrap = menu.settings.$menuWrap;
+  const touch = (type, x) => {
+    const event = new window.Event(type, {bubbles: true, cancelable: true});
+    Object.defineProperty(event, 'touches', {value: type === 'touchend' ? [] : [{clientX: x, clientY: 100}]});
+    document.activeElement.dispatchEvent(event);
+  };
+  const swipe = distance => {
+    touch('touchstart', 10);
+    touch('touchmove', 30);
+    touch('touchmove', 10 + distance);
+    touch('touchend');
+  };
+
+  await menu.goToCard(2);
+  menu.settings.$openCard.querySelector('a, button').focus();
+  assert.ok($wrap.contains(document.activeElement));
+
+  // below swipeThreshold (0.3 of the width): snaps back
+  swipe(window.innerWidth * 0.1);
+  await tick(window);
+  assert.strictEqual(menu.getPath().join('/'), '0/1/2');
+  assert.ok(!menu.settings.$openCard.classList.contains('closing'));
+
+  swipe(window.innerWidth * 0.5);
+  await menu.queueNavigation(() => true);
+  assert.strictEqual(menu.getPath().join('/'), '0/1');
+});
+
+test('the remembered card falls back to its deepest existing parent card', () => {
+  const remember = (path, time = Date.now()) => window => {
+    window.sessionStorage.setItem('madj2k-slidemenu-path-slide-menu', JSON.stringify({path, time}));
+  };
+  const open = prepare => createMenu(treeItems(), {rememberOpenCard: true, rememberLifetime: 60}, prepare).menu.getPath().join('/');
+
+  assert.strictEqual(open(remember(['0', '1', '2'])), '0/1/2');
+  assert.strictEqual(open(remember(['0', '1', '2', '99'])), '0/1/2');
+  assert.strictEqual(open(remember(['0', '5', '99', '7'])), '0/5');
+  assert.strictEqual(open(remember(['0', '5', '6'], Date.now() - 120000)), '0');
+});
+
+test('animation types style the cards', async () => {
+  const styles = async animationType => {
+    const {menu, $menu} = createMenu(treeItems(), {animationDuration: 1, animationType});
+    await menu.goToCard(1);
+    const [first, second] = menu.getCardPath(menu.settings.$openCard);
+    return {menu, $menu, first: first.style, second: second.style, hidden: menu.getCardByUid(5).style};
+  };
+
+  const slide = await styles('slide');
+  assert.ok(slide.$menu.classList.contains('animation-type-slide'));
+  assert.strictEqual(slide.second.left, '0%');
+
+  const transform = await styles('transform');
+  assert.ok(transform.$menu.classList.contains('animation-type-transform'));
+  assert.strictEqual(transform.second.transform, 'translate3d(0%, 0, 0)');
+
+  const push = await styles('push');
+  assert.strictEqual(push.first.transform, 'translate3d(-30%, 0, 0)');
+
+  const fade = await styles('fade');
+  assert.strictEqual(fade.second.opacity, '1');
+  assert.strictEqual(fade.hidden.visibility, 'hidden');
+
+  const custom = await styles({
+    menu: {hidden: {opacity: '0'}, visible: {opacity: '1'}},
+    card: (state) => ({opacity: state === 'visible' ? '1' : '0.5'}),
+    coveredOffset: 0
+  });
+  assert.ok(custom.$menu.classList.contains('animation-type-custom'));
+  assert.strictEqual(custom.first.opacity, '0.5');
+  assert.strictEqual(custom.second.opacity, '1');
+
+  const unknown = await styles('unknown');
+  assert.ok(unknown.$menu.classList.contains('animation-type-slide'));
+});
+
+test('the column layout shows the parent cards side by side', async () => {
+  const mediaQuery = new (class extends EventTarget {})();
+  mediaQuery.matches = true;
+
+  const {menu, $menu} = createMenu(treeItems(), {animationDuration: 1, columns: 2, columnsBreakpoint: 1000}, window => {
+    window.matchMedia = query => {
+      if (!query.includes('min-width')) return {matches: false};
+      mediaQuery.media = query;
+      return mediaQuery;
+    };
+  });
+
+  assert.strictEqual(mediaQuery.media, '(min-width: 1000px)');
+  assert.ok($menu.classList.contains('columns'));
+
+  // the path is longer than the number of columns: shifted to the left
+  await menu.goToCard(2);
+  const [first, second, third] = menu.getCardPath(menu.settings.$openCard);
+  assert.strictEqual(first.style.left, '-100%');
+  assert.strictEqual(second.style.left, '100%');
+  assert.strictEqual(third.style.left, '100%');
+  assert.strictEqual(second.style.visibility, 'visible');
+  assert.strictEqual(menu.getCardByUid(5).style.visibility, 'hidden');
+
+  mediaQuery.matches = false;
+  mediaQuery.dispatchEvent(new Event('change'));
+  assert.ok(!$menu.classList.contains('columns'));
+  assert.strictEqual(first.style.left, '0%');
+  assert.strictEqual(menu.getCardByUid(5).style.visibility, '');
+});
+
+test('setItems() and updateItem() keep the open card open', async () => {
+  const {document, menu, $menu} = createMenu(treeItems(), {animationDuration: 1});
+  let updated = 0;
+  document.addEventListener('madj2k-slidemenu-updated', () => updated++);
+
+  await menu.goToCard(3);
+
+  assert.strictEqual(await menu.updateItem(4, {title: 'Renamed', data: {title: 'Renamed'}}), true);
+  assert.strictEqual(menu.getPath().join('/'), '0/1/2/3');
+  assert.match(menu.settings.$openCard.textContent, /Renamed/);
+  assert.ok(menu.isOpen());
+
+  assert.strictEqual(await menu.updateItem(99, {title: 'Missing'}), false);
+
+  // the open card still exists
+  const items = treeItems();
+  items[0].title = 'A new';
+  assert.strictEqual(await menu.setItems(items), true);
+  assert.strictEqual(menu.getPath().join('/'), '0/1/2/3');
+  assert.match($menu.textContent, /A new/);
+
+  // the open card has been removed: its nearest existing parent card is opened
+  const shortened = treeItems();
+  shortened[0].children[0].children = [];
+  shortened[0].children[0].hasSubpages = false;
+  await menu.setItems(shortened);
+  assert.strictEqual(menu.getPath().join('/'), '0/1');
+  assert.ok(menu.isOpen());
+
+  assert.strictEqual(updated, 3);
+});